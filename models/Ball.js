@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { moveLegacyExtras } = require('../utils/scoring');
 
 /**
  * @swagger
@@ -22,12 +23,31 @@ const mongoose = require('mongoose');
  *           type: number
  *         ball:
  *           type: number
+ *         sequence:
+ *           type: number
+ *           description: Order of the delivery within its innings
  *         bowler:
  *           type: string
  *         batsman:
  *           type: string
  *         runs:
  *           type: number
+ *           description: Runs credited to the batsman, including overthrows off the bat
+ *         extraRuns:
+ *           type: number
+ *           description: Wides run or to the boundary, byes and leg byes (the one-run wide/no-ball penalty is added automatically)
+ *         penaltyRuns:
+ *           type: number
+ *         penaltyTeam:
+ *           type: string
+ *           enum: [batting, bowling]
+ *           description: Side the penalty runs are awarded to
+ *         isBoundary:
+ *           type: boolean
+ *           description: Set to false for a four or six that was run or came from overthrows
+ *         overthrows:
+ *           type: number
+ *           description: Portion of the runs that came from overthrows
  *         isWide:
  *           type: boolean
  *         isNoBall:
@@ -36,10 +56,19 @@ const mongoose = require('mongoose');
  *           type: boolean
  *         isLegBye:
  *           type: boolean
+ *         isSuperOver:
+ *           type: boolean
+ *           description: Whether the delivery was bowled in a super over
+ *         isFreeHit:
+ *           type: boolean
+ *           description: Whether the delivery was a free hit
  *         isWicket:
  *           type: boolean
  *         wicketType:
  *           type: string
+ *         dismissedPlayer:
+ *           type: string
+ *           description: Player ID of the dismissed batsman (defaults to the striker)
  */
 
 const ballSchema = new mongoose.Schema({
@@ -51,8 +80,7 @@ const ballSchema = new mongoose.Schema({
     innings: {
         type: Number,
         required: true,
-        min: 1,
-        max: 4
+        min: 1
     },
     over: {
         type: Number,
@@ -62,8 +90,11 @@ const ballSchema = new mongoose.Schema({
     ball: {
         type: Number,
         required: true,
-        min: 1,
-        max: 6
+        min: 1
+    },
+    sequence: {
+        type: Number,
+        min: 1
     },
     bowler: {
         type: mongoose.Schema.Types.ObjectId,
@@ -82,8 +113,29 @@ const ballSchema = new mongoose.Schema({
     runs: {
         type: Number,
         default: 0,
-        min: 0,
-        max: 6
+        min: 0
+    },
+    extraRuns: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    penaltyRuns: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    penaltyTeam: {
+        type: String,
+        enum: ['batting', 'bowling']
+    },
+    isBoundary: {
+        type: Boolean
+    },
+    overthrows: {
+        type: Number,
+        default: 0,
+        min: 0
     },
     isWide: {
         type: Boolean,
@@ -101,6 +153,14 @@ const ballSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    isSuperOver: {
+        type: Boolean,
+        default: false
+    },
+    isFreeHit: {
+        type: Boolean,
+        default: false
+    },
     isWicket: {
         type: Boolean,
         default: false
@@ -109,6 +169,10 @@ const ballSchema = new mongoose.Schema({
         type: String,
         enum: ['bowled', 'caught', 'lbw', 'stumped', 'run-out', 'hit-wicket', 'obstructing', 'handled-ball', 'timed-out']
     },
+    dismissedPlayer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
     wicketTaker: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Player'
@@ -125,4 +189,28 @@ const ballSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Deliveries stored in the old shape are read in the new one until migrated
+ballSchema.post('init', function () {
+    moveLegacyExtras(this);
+});
+
+ballSchema.pre('validate', function (next) {
+    if ((this.isWide || this.isBye || this.isLegBye) && this.runs > 0) {
+        this.invalidate('runs', 'Runs off the bat cannot be scored from a wide, bye or leg bye; use extraRuns');
+    }
+    if (this.isWide && (this.isBye || this.isLegBye)) {
+        this.invalidate('isWide', 'Runs from a wide are all wides');
+    }
+    if (this.isBye && this.isLegBye) {
+        this.invalidate('isBye', 'A delivery cannot be both a bye and a leg bye');
+    }
+    if (this.extraRuns > 0 && !this.isWide && !this.isBye && !this.isLegBye) {
+        this.invalidate('extraRuns', 'Extra runs must be wides, byes or leg byes');
+    }
+    if (this.penaltyRuns > 0 && !this.penaltyTeam) {
+        this.invalidate('penaltyTeam', 'Penalty runs must be awarded to the batting or bowling side');
+    }
+    next();
+});
+
 module.exports = mongoose.model('Ball', ballSchema);
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Commentary:
+ *       type: object
+ *       description: Generated commentary for a delivery or match event, or a summary at the end of an over
+ *       properties:
+ *         match:
+ *           type: string
+ *         innings:
+ *           type: number
+ *         sequence:
+ *           type: number
+ *           description: Position of the entry in the innings commentary
+ *         over:
+ *           type: number
+ *         ball:
+ *           type: number
+ *         type:
+ *           type: string
+ *           enum: [ball, over, event]
+ *         delivery:
+ *           type: string
+ *         event:
+ *           type: string
+ *         text:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+const commentarySchema = new mongoose.Schema({
+    match: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Match',
+        required: true
+    },
+    innings: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    over: Number,
+    ball: Number,
+    type: {
+        type: String,
+        enum: ['ball', 'over', 'event'],
+        default: 'ball'
+    },
+    delivery: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ball'
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MatchEvent'
+    },
+    text: String,
+    timestamp: { type: Date, default: Date.now }
+});
+
+commentarySchema.index({ match: 1, innings: 1, sequence: 1 });
+
+module.exports = mongoose.model('Commentary', commentarySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { MATCH_TYPES, DEFAULT_FORMAT } = require('../utils/formats');
+const { MATCH_STATUSES } = require('../utils/matchStatus');
 
 /**
  * @swagger
@@ -22,58 +24,259 @@ const mongoose = require('mongoose');
  *           description: Second team ID
  *         matchType:
  *           type: string
- *           enum: [T20, ODI, Test, T10]
+ *           enum: [T20, ODI, Test, T10, Custom]
  *         overs:
  *           type: number
+ *           description: Overs per innings in limited-overs matches
+ *         format:
+ *           type: object
+ *           description: Playing conditions, filled in from the match type preset
+ *           properties:
+ *             ballsPerOver:
+ *               type: number
+ *             playersPerSide:
+ *               type: number
+ *             maxWickets:
+ *               type: number
+ *               description: Wickets that end an innings
+ *             maxOversPerBowler:
+ *               type: number
+ *               nullable: true
+ *             powerplayOvers:
+ *               type: number
+ *             lastManStands:
+ *               type: boolean
+ *               description: Whether the last batter may bat on alone
+ *         days:
+ *           type: number
+ *           description: Scheduled days for a Test match
+ *         day:
+ *           type: number
+ *           description: Current day of play
+ *         session:
+ *           type: number
+ *           description: Current session of the day (1-3)
+ *         followOn:
+ *           type: boolean
+ *         interruptions:
+ *           type: array
+ *           description: Stoppages with the overs each innings was reduced to
+ *           items:
+ *             type: object
+ *         tournament:
+ *           type: string
+ *           description: Tournament or series the match belongs to
+ *         stage:
+ *           type: string
+ *           description: Name of the tournament stage
+ *         group:
+ *           type: string
+ *           description: Group within a league stage
+ *         fixture:
+ *           type: object
+ *           description: Place of a generated fixture in the tournament schedule. The winner of a knockout fixture goes through to the next match automatically.
+ *           properties:
+ *             round:
+ *               type: number
+ *             number:
+ *               type: number
+ *             nextMatch:
+ *               type: string
+ *               description: Match the winner goes through to
+ *             nextSlot:
+ *               type: string
+ *               enum: [team1, team2]
  *         venue:
  *           type: string
+ *           description: Venue ID
  *         status:
  *           type: string
- *           enum: [scheduled, live, completed, abandoned]
+ *           enum: [scheduled, postponed, live, completed, abandoned]
+ *         statusReason:
+ *           type: string
+ *           description: Why the match was postponed, abandoned or called off
  *         tossWinner:
  *           type: string
  *         tossDecision:
  *           type: string
  *           enum: [bat, bowl]
+ *         squads:
+ *           type: array
+ *           description: Playing XI, substitutes, captain and wicketkeeper named by each team
+ *           items:
+ *             type: object
+ *             properties:
+ *               team:
+ *                 type: string
+ *               playingXI:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               substitutes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               captain:
+ *                 type: string
+ *               wicketkeeper:
+ *                 type: string
  *         currentInnings:
  *           type: number
+ *         striker:
+ *           type: string
+ *           description: Player ID of the batsman on strike
+ *         nonStriker:
+ *           type: string
+ *           description: Player ID of the batsman at the non-striker's end
+ *         currentBowler:
+ *           type: string
+ *           description: Player ID of the bowler of the current over
+ *         freeHit:
+ *           type: boolean
+ *           description: Whether the next delivery is a free hit
  *         result:
  *           type: object
+ *           properties:
+ *             winner:
+ *               type: string
+ *             resultType:
+ *               type: string
+ *             margin:
+ *               type: string
+ *             marginRuns:
+ *               type: number
+ *               description: Runs the match was won by, for a win by runs or by an innings
+ *             marginWickets:
+ *               type: number
+ *               description: Wickets the match was won by
+ *             ballsRemaining:
+ *               type: number
+ *               description: Balls left when a limited-overs chase was won
+ *             manOfTheMatch:
+ *               type: string
+ *             manOfTheMatchSuggested:
+ *               type: boolean
+ *               description: Player of the match was awarded automatically and has not been confirmed by an official
  */
 
+// Later-round knockout fixtures are scheduled before their teams are known
+const teamRequired = function () {
+    return this.status !== 'scheduled' || !this.fixture?.round;
+};
+
 const matchSchema = new mongoose.Schema({
     team1: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Team',
-        required: true
+        required: teamRequired
     },
     team2: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Team',
-        required: true
+        required: teamRequired
     },
     matchType: {
         type: String,
-        enum: ['T20', 'ODI', 'Test', 'T10'],
+        enum: MATCH_TYPES,
         required: true
     },
     overs: {
         type: Number,
         required: true
     },
-    venue: {
+    format: {
+        ballsPerOver: {
+            type: Number,
+            min: 1,
+            max: 9,
+            default: DEFAULT_FORMAT.ballsPerOver
+        },
+        playersPerSide: {
+            type: Number,
+            min: 2,
+            default: DEFAULT_FORMAT.playersPerSide
+        },
+        maxWickets: {
+            type: Number,
+            min: 1,
+            default: DEFAULT_FORMAT.maxWickets
+        },
+        maxOversPerBowler: {
+            type: Number,
+            min: 1,
+            default: DEFAULT_FORMAT.maxOversPerBowler
+        },
+        powerplayOvers: {
+            type: Number,
+            min: 0,
+            default: DEFAULT_FORMAT.powerplayOvers
+        },
+        lastManStands: {
+            type: Boolean,
+            default: DEFAULT_FORMAT.lastManStands
+        }
+    },
+    days: {
+        type: Number,
+        min: 1,
+        default: 5
+    },
+    day: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    session: {
+        type: Number,
+        min: 1,
+        max: 3,
+        default: 1
+    },
+    followOn: {
+        type: Boolean,
+        default: false
+    },
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament'
+    },
+    stage: {
+        type: String,
+        trim: true
+    },
+    group: {
         type: String,
         trim: true
     },
+    fixture: {
+        round: Number,
+        number: Number,
+        nextMatch: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Match'
+        },
+        nextSlot: {
+            type: String,
+            enum: ['team1', 'team2']
+        }
+    },
+    venue: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue'
+    },
     matchDate: {
         type: Date,
         default: Date.now
     },
     status: {
         type: String,
-        enum: ['scheduled', 'live', 'completed', 'abandoned'],
+        enum: MATCH_STATUSES,
         default: 'scheduled'
     },
+    statusReason: {
+        type: String,
+        trim: true
+    },
     tossWinner: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Team'
@@ -82,11 +285,49 @@ const matchSchema = new mongoose.Schema({
         type: String,
         enum: ['bat', 'bowl']
     },
+    squads: [{
+        team: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true
+        },
+        playingXI: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Player'
+        }],
+        substitutes: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Player'
+        }],
+        captain: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Player'
+        },
+        wicketkeeper: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Player'
+        }
+    }],
     currentInnings: {
         type: Number,
         default: 1,
-        min: 1,
-        max: 4
+        min: 1
+    },
+    striker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
+    nonStriker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
+    currentBowler: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
+    freeHit: {
+        type: Boolean,
+        default: false
     },
     innings: [{
         battingTeam: {
@@ -101,12 +342,34 @@ const matchSchema = new mongoose.Schema({
         wickets: { type: Number, default: 0 },
         overs: { type: Number, default: 0 },
         balls: { type: Number, default: 0 },
+        target: Number,
+        maxOvers: Number,
+        parScore: Number,
+        superOver: Number,
         extras: {
             wides: { type: Number, default: 0 },
             noBalls: { type: Number, default: 0 },
             byes: { type: Number, default: 0 },
-            legByes: { type: Number, default: 0 }
+            legByes: { type: Number, default: 0 },
+            penalties: { type: Number, default: 0 }
         },
+        fieldingPenalties: { type: Number, default: 0 },
+        bowlers: [{
+            _id: false,
+            player: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Player'
+            },
+            overs: { type: Number, default: 0 },
+            balls: { type: Number, default: 0 },
+            lastOver: Number
+        }],
+        retiredHurt: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Player'
+        }],
+        declared: { type: Boolean, default: false },
+        forfeited: { type: Boolean, default: false },
         isCompleted: { type: Boolean, default: false }
     }],
     result: {
@@ -116,22 +379,46 @@ const matchSchema = new mongoose.Schema({
         },
         resultType: {
             type: String,
-            enum: ['runs', 'wickets', 'tie', 'no-result']
+            enum: ['runs', 'wickets', 'innings', 'tie', 'super-over', 'draw', 'no-result']
         },
         margin: String,
+        marginRuns: Number,
+        marginWickets: Number,
+        ballsRemaining: Number,
         manOfTheMatch: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Player'
+        },
+        manOfTheMatchSuggested: {
+            type: Boolean,
+            default: false
         }
     },
-    commentary: [{
-        over: Number,
-        ball: Number,
-        text: String,
-        timestamp: { type: Date, default: Date.now }
-    }]
+    interruptions: [{
+        innings: Number,
+        deliveries: Number,
+        balls: Number,
+        wickets: Number,
+        oversBefore: Number,
+        revisedOvers: Number,
+        reason: { type: String, trim: true },
+        startedAt: Date,
+        endedAt: Date
+    }],
+    playTerminated: {
+        type: Boolean,
+        default: false
+    }
 }, {
     timestamps: true
 });
 
+// A free-text venue recorded before venues were tracked reads as no venue
+// until it is linked to a venue at startup, rather than failing to cast
+matchSchema.pre('init', function (raw) {
+    if (typeof raw.venue === 'string' && !mongoose.isObjectIdOrHexString(raw.venue)) {
+        delete raw.venue;
+    }
+});
+
 module.exports = mongoose.model('Match', matchSchema);
\ No newline at end of file
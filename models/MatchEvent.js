@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MatchEvent:
+ *       type: object
+ *       required:
+ *         - match
+ *         - innings
+ *         - type
+ *       properties:
+ *         match:
+ *           type: string
+ *         innings:
+ *           type: number
+ *         deliveries:
+ *           type: number
+ *           description: Deliveries recorded in the innings before the event
+ *         type:
+ *           type: string
+ *           enum: [retired-hurt, retired-out, timed-out, batter-returns, substitution, concussion-replacement, penalty-runs, bowler-change, drinks, timeout]
+ *         player:
+ *           type: string
+ *           description: Player the event is about, or the player coming on
+ *         replacedPlayer:
+ *           type: string
+ *           description: Player leaving the field for a substitution or concussion replacement
+ *         team:
+ *           type: string
+ *         runs:
+ *           type: number
+ *           description: Penalty runs awarded
+ *         penaltyTeam:
+ *           type: string
+ *           enum: [batting, bowling]
+ *         reason:
+ *           type: string
+ *         commentary:
+ *           type: string
+ */
+
+const matchEventSchema = new mongoose.Schema({
+    match: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Match',
+        required: true
+    },
+    innings: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    deliveries: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    type: {
+        type: String,
+        enum: ['retired-hurt', 'retired-out', 'timed-out', 'batter-returns', 'substitution',
+            'concussion-replacement', 'penalty-runs', 'bowler-change', 'drinks', 'timeout'],
+        required: true
+    },
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
+    replacedPlayer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    runs: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    penaltyTeam: {
+        type: String,
+        enum: ['batting', 'bowling']
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    commentary: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+matchEventSchema.pre('validate', function (next) {
+    if (this.type === 'penalty-runs' && (!this.runs || !this.penaltyTeam)) {
+        this.invalidate('runs', 'Penalty runs must be awarded to the batting or bowling side');
+    }
+    if (['substitution', 'concussion-replacement'].includes(this.type) && !this.replacedPlayer) {
+        this.invalidate('replacedPlayer', 'The player being replaced is required');
+    }
+    if (!['penalty-runs', 'drinks', 'timeout'].includes(this.type) && !this.player) {
+        this.invalidate('player', 'Player is required');
+    }
+    next();
+});
+
+module.exports = mongoose.model('MatchEvent', matchEventSchema);
@@ -29,6 +29,9 @@ const mongoose = require('mongoose');
  *           items:
  *             type: string
  *           description: Array of player IDs
+ *         homeGround:
+ *           type: string
+ *           description: Venue ID of the home ground. Requests may name the venue by ID, name or alias, and a name that matches no venue creates one.
  *         matchesPlayed:
  *           type: number
  *         matchesWon:
@@ -65,8 +68,8 @@ const teamSchema = new mongoose.Schema({
         ref: 'Player'
     }],
     homeGround: {
-        type: String,
-        trim: true
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue'
     },
     coach: {
         type: String,
@@ -91,4 +94,12 @@ const teamSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// A free-text home ground recorded before venues were tracked reads as none
+// until it is linked to a venue at startup, rather than failing to cast
+teamSchema.pre('init', function (raw) {
+    if (typeof raw.homeGround === 'string' && !mongoose.isObjectIdOrHexString(raw.homeGround)) {
+        delete raw.homeGround;
+    }
+});
+
 module.exports = mongoose.model('Team', teamSchema);
\ No newline at end of file
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { MATCH_TYPES } = require('../utils/formats');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tournament:
+ *       type: object
+ *       required:
+ *         - name
+ *         - teams
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         season:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [tournament, series]
+ *         matchType:
+ *           type: string
+ *           enum: [T20, ODI, Test, T10, Custom]
+ *         teams:
+ *           type: array
+ *           items:
+ *             type: string
+ *         stages:
+ *           type: array
+ *           description: Stages in the order they are played. League stages have a points table for each group, or one for all teams when there are no groups.
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [league, knockout]
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     teams:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *         points:
+ *           type: object
+ *           description: Points for each result. A winner whose run rate is at least bonusRunRate times the loser's earns the bonus as well.
+ *           properties:
+ *             win:
+ *               type: number
+ *             tie:
+ *               type: number
+ *             noResult:
+ *               type: number
+ *             draw:
+ *               type: number
+ *             loss:
+ *               type: number
+ *             bonus:
+ *               type: number
+ *             bonusRunRate:
+ *               type: number
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ */
+
+const tournamentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    season: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['tournament', 'series'],
+        default: 'tournament'
+    },
+    matchType: {
+        type: String,
+        enum: MATCH_TYPES
+    },
+    teams: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    }],
+    stages: [{
+        _id: false,
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: ['league', 'knockout'],
+            default: 'league'
+        },
+        groups: [{
+            _id: false,
+            name: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            teams: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Team'
+            }]
+        }]
+    }],
+    points: {
+        win: { type: Number, default: 2 },
+        tie: { type: Number, default: 1 },
+        noResult: { type: Number, default: 1 },
+        draw: { type: Number, default: 1 },
+        loss: { type: Number, default: 0 },
+        bonus: { type: Number, default: 0, min: 0 },
+        bonusRunRate: { type: Number, default: 1.25, min: 1 }
+    },
+    startDate: {
+        type: Date
+    },
+    endDate: {
+        type: Date
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+const includesTeam = (teams, team) => teams.some(entry => entry.toString() === team.toString());
+
+tournamentSchema.pre('validate', function (next) {
+    const stageNames = this.stages.map(stage => stage.name);
+    if (new Set(stageNames).size !== stageNames.length) {
+        this.invalidate('stages', 'Stage names must be unique');
+    }
+
+    this.stages.forEach(stage => {
+        const grouped = stage.groups.flatMap(group => group.teams);
+        if (new Set(stage.groups.map(group => group.name)).size !== stage.groups.length) {
+            this.invalidate('stages', `Group names in ${stage.name} must be unique`);
+        }
+        if (new Set(grouped.map(String)).size !== grouped.length) {
+            this.invalidate('stages', `A team can only be in one group of ${stage.name}`);
+        }
+        if (!grouped.every(team => includesTeam(this.teams, team))) {
+            this.invalidate('stages', `Every team in the groups of ${stage.name} must take part in the tournament`);
+        }
+    });
+    next();
+});
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Venue:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         city:
+ *           type: string
+ *         country:
+ *           type: string
+ *         capacity:
+ *           type: number
+ *         boundaries:
+ *           type: object
+ *           description: Boundary dimensions in metres
+ *           properties:
+ *             straight:
+ *               type: number
+ *             square:
+ *               type: number
+ *         aliases:
+ *           type: array
+ *           description: Other names the ground is known by. Venues can be looked up by name or alias, ignoring case.
+ *           items:
+ *             type: string
+ */
+
+const venueSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    city: {
+        type: String,
+        trim: true
+    },
+    country: {
+        type: String,
+        trim: true
+    },
+    capacity: {
+        type: Number,
+        min: 0
+    },
+    boundaries: {
+        straight: { type: Number, min: 0 },
+        square: { type: Number, min: 0 }
+    },
+    aliases: [{
+        type: String,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -2,10 +2,35 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Match = require('../models/Match');
 const Team = require('../models/Team');
+const Player = require('../models/Player');
+const Ball = require('../models/Ball');
+const MatchEvent = require('../models/MatchEvent');
+const Commentary = require('../models/Commentary');
+const Tournament = require('../models/Tournament');
 const { auth, authorize } = require('../middleware/auth');
+const { createInnings, getSquad, sameId, findPlayerSquad, callOffMatch, abandonMatch } = require('../utils/scoring');
+const { FORMAT_PRESETS, MATCH_TYPES, buildFormat, validateFormat } = require('../utils/formats');
+const { checkTransition } = require('../utils/matchStatus');
+const { rankPlayers } = require('../utils/playerOfMatch');
+const { withCareerStats } = require('../utils/careerStats');
+const { publish } = require('../utils/liveFeed');
+const { findOrCreateVenue } = require('../utils/venues');
+const { checkTournamentMatch } = require('../utils/tournaments');
 
 const router = express.Router();
 
+// A venue is given by ID, name or alias; an empty one clears it
+const venueValidator = body('venue').optional({ values: 'falsy' }).isString()
+    .withMessage('Venue must be a venue ID, name or alias');
+
+// Followers of a live match hear when it is called off or abandoned
+const publishResult = (match) => {
+    publish(match._id, 'result', {
+        result: match.result,
+        match: { id: match._id, status: match.status }
+    });
+};
+
 /**
  * @swagger
  * /api/matches:
@@ -45,6 +70,7 @@ router.get('/', async (req, res) => {
         const matches = await Match.find(query)
             .populate('team1', 'name shortName logo')
             .populate('team2', 'name shortName logo')
+            .populate('venue', 'name city')
             .populate('tossWinner', 'name shortName')
             .populate('result.winner', 'name shortName')
             .populate('result.manOfTheMatch', 'name')
@@ -81,7 +107,6 @@ router.get('/', async (req, res) => {
  *               - team1
  *               - team2
  *               - matchType
- *               - overs
  *             properties:
  *               team1:
  *                 type: string
@@ -89,11 +114,32 @@ router.get('/', async (req, res) => {
  *                 type: string
  *               matchType:
  *                 type: string
- *                 enum: [T20, ODI, Test, T10]
+ *                 enum: [T20, ODI, Test, T10, Custom]
  *               overs:
  *                 type: number
+ *                 description: Overs per innings, defaults to the preset (required for Custom)
+ *               format:
+ *                 type: object
+ *                 description: Settings that override the match type preset
+ *                 properties:
+ *                   ballsPerOver:
+ *                     type: number
+ *                   playersPerSide:
+ *                     type: number
+ *                   maxWickets:
+ *                     type: number
+ *                   maxOversPerBowler:
+ *                     type: number
+ *                   powerplayOvers:
+ *                     type: number
+ *                   lastManStands:
+ *                     type: boolean
+ *               days:
+ *                 type: number
+ *                 description: Scheduled days for a Test match (default 5)
  *               venue:
  *                 type: string
+ *                 description: Venue ID, name or alias. A name that matches no venue creates one.
  *               matchDate:
  *                 type: string
  *                 format: date-time
@@ -104,8 +150,16 @@ router.get('/', async (req, res) => {
 router.post('/', [auth, authorize('admin', 'scorer')], [
     body('team1').notEmpty().withMessage('Team 1 is required'),
     body('team2').notEmpty().withMessage('Team 2 is required'),
-    body('matchType').isIn(['T20', 'ODI', 'Test', 'T10']).withMessage('Invalid match type'),
-    body('overs').isNumeric().withMessage('Overs must be a number')
+    body('matchType').isIn(MATCH_TYPES).withMessage('Invalid match type'),
+    body('overs').if(body('matchType').equals('Custom')).notEmpty().withMessage('Overs are required for a custom match'),
+    body('overs').optional().isInt({ min: 1 }).withMessage('Overs must be a positive whole number').toInt(),
+    body('format.ballsPerOver').optional().isInt({ min: 1, max: 9 }).withMessage('Balls per over must be between 1 and 9').toInt(),
+    body('format.playersPerSide').optional().isInt({ min: 2 }).withMessage('Players per side must be at least 2').toInt(),
+    body('format.maxWickets').optional().isInt({ min: 1 }).withMessage('Max wickets must be a positive whole number').toInt(),
+    body('format.maxOversPerBowler').optional().isInt({ min: 1 }).withMessage('Max overs per bowler must be a positive whole number').toInt(),
+    body('format.powerplayOvers').optional().isInt({ min: 0 }).withMessage('Powerplay overs must be a whole number').toInt(),
+    body('format.lastManStands').optional().isBoolean().withMessage('Last man stands must be true or false').toBoolean(),
+    venueValidator
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -139,7 +193,26 @@ router.post('/', [auth, authorize('admin', 'scorer')], [
             });
         }
 
-        const match = new Match(req.body);
+        const overs = req.body.overs ?? FORMAT_PRESETS[req.body.matchType].overs;
+        const format = buildFormat(req.body.matchType, req.body.format);
+
+        const formatError = validateFormat(format, req.body.matchType === 'Test' ? null : overs);
+        if (formatError) {
+            return res.status(400).json({
+                success: false,
+                message: formatError
+            });
+        }
+
+        const venue = req.body.venue ? await findOrCreateVenue(req.body.venue) : null;
+        if (req.body.venue && !venue) {
+            return res.status(400).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const match = new Match({ ...req.body, venue: venue?._id, overs, format });
         await match.save();
 
         await match.populate([
@@ -184,6 +257,7 @@ router.get('/:id', async (req, res) => {
         const match = await Match.findById(req.params.id)
             .populate('team1', 'name shortName logo')
             .populate('team2', 'name shortName logo')
+            .populate('venue', 'name city capacity boundaries')
             .populate('tossWinner', 'name shortName')
             .populate('result.winner', 'name shortName')
             .populate('result.manOfTheMatch', 'name team');
@@ -208,6 +282,328 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/matches/{id}:
+ *   put:
+ *     summary: Update the details of a scheduled match
+ *     description: Sending matchType or format rebuilds the format from the match type preset with the given settings, as when the match is created. Squads of teams no longer in the match, or that no longer have as many players as the format needs, are removed and must be named again. The teams and match type of a tournament match must still fit the tournament and the match's stage and group.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               team1:
+ *                 type: string
+ *               team2:
+ *                 type: string
+ *               matchType:
+ *                 type: string
+ *                 enum: [T20, ODI, Test, T10, Custom]
+ *               overs:
+ *                 type: number
+ *               format:
+ *                 type: object
+ *               days:
+ *                 type: number
+ *               venue:
+ *                 type: string
+ *                 description: Venue ID, name or alias. A name that matches no venue creates one.
+ *               matchDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Match updated successfully
+ *       400:
+ *         description: Match is not scheduled or the details are invalid
+ *       404:
+ *         description: Match not found
+ */
+router.put('/:id', [auth, authorize('admin', 'scorer')], [
+    body('matchType').optional().isIn(MATCH_TYPES).withMessage('Invalid match type'),
+    body('overs').optional().isInt({ min: 1 }).withMessage('Overs must be a positive whole number').toInt(),
+    body('format.ballsPerOver').optional().isInt({ min: 1, max: 9 }).withMessage('Balls per over must be between 1 and 9').toInt(),
+    body('format.playersPerSide').optional().isInt({ min: 2 }).withMessage('Players per side must be at least 2').toInt(),
+    body('format.maxWickets').optional().isInt({ min: 1 }).withMessage('Max wickets must be a positive whole number').toInt(),
+    body('format.maxOversPerBowler').optional().isInt({ min: 1 }).withMessage('Max overs per bowler must be a positive whole number').toInt(),
+    body('format.powerplayOvers').optional().isInt({ min: 0 }).withMessage('Powerplay overs must be a whole number').toInt(),
+    body('format.lastManStands').optional().isBoolean().withMessage('Last man stands must be true or false').toBoolean(),
+    body('days').optional().isInt({ min: 1 }).withMessage('Days must be a positive whole number').toInt(),
+    body('matchDate').optional().isISO8601().withMessage('Match date must be a valid date'),
+    venueValidator
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        if (match.status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only scheduled matches can be updated'
+            });
+        }
+
+        const team1 = req.body.team1 || match.team1;
+        const team2 = req.body.team2 || match.team2;
+
+        if (sameId(team1, team2)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Teams cannot be the same'
+            });
+        }
+
+        // A knockout fixture may still be waiting for one of its teams
+        if (req.body.team1 || req.body.team2) {
+            const named = [team1, team2].filter(Boolean);
+            if (await Team.countDocuments({ _id: { $in: named } }) !== named.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'One or both teams not found'
+                });
+            }
+        }
+
+        const matchType = req.body.matchType || match.matchType;
+        const typeChanged = matchType !== match.matchType;
+        const overs = req.body.overs ?? (typeChanged ? FORMAT_PRESETS[matchType].overs : undefined) ?? match.overs;
+        const format = typeChanged || req.body.format ? buildFormat(matchType, req.body.format) : match.format;
+
+        const formatError = validateFormat(format, matchType === 'Test' ? null : overs);
+        if (formatError) {
+            return res.status(400).json({
+                success: false,
+                message: formatError
+            });
+        }
+
+        const venue = req.body.venue ? await findOrCreateVenue(req.body.venue) : null;
+        if (req.body.venue && !venue) {
+            return res.status(400).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const { days, matchDate } = req.body;
+        match.set({ team1, team2, matchType, overs, format });
+        if (days !== undefined) match.days = days;
+        if (req.body.venue !== undefined) match.venue = venue?._id;
+        if (matchDate !== undefined) match.matchDate = matchDate;
+
+        match.squads = match.squads.filter(squad =>
+            (sameId(squad.team, team1) || sameId(squad.team, team2)) &&
+            squad.playingXI.length === match.format.playersPerSide);
+
+        // A tournament match must keep fitting its tournament, or it drops
+        // out of the points table
+        if (match.tournament) {
+            const tournament = await Tournament.findById(match.tournament);
+            const tournamentError = tournament && checkTournamentMatch(tournament, match, match.stage, match.group);
+            if (tournamentError) {
+                return res.status(400).json({
+                    success: false,
+                    message: tournamentError
+                });
+            }
+        }
+
+        await match.save();
+        await match.populate([
+            { path: 'team1', select: 'name shortName logo' },
+            { path: 'team2', select: 'name shortName logo' }
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Match updated successfully',
+            data: { match }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/matches/{id}/squad:
+ *   put:
+ *     summary: Name a team's playing XI, substitutes, captain and wicketkeeper
+ *     description: Must be set for both teams before the match starts. The playing XI must have as many players as the match format's players per side.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - team
+ *               - playingXI
+ *               - captain
+ *               - wicketkeeper
+ *             properties:
+ *               team:
+ *                 type: string
+ *               playingXI:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               substitutes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               captain:
+ *                 type: string
+ *               wicketkeeper:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Squad saved successfully
+ *       400:
+ *         description: Match already started or invalid squad
+ */
+router.put('/:id/squad', [auth, authorize('admin', 'scorer')], [
+    body('team').notEmpty().withMessage('Team is required'),
+    body('playingXI').isArray({ min: 1 }).withMessage('Playing XI must be a list of players'),
+    body('substitutes').optional().isArray().withMessage('Substitutes must be a list of players'),
+    body('captain').notEmpty().withMessage('Captain is required'),
+    body('wicketkeeper').notEmpty().withMessage('Wicketkeeper is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { team, playingXI, substitutes = [], captain, wicketkeeper } = req.body;
+
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        if (match.status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Squads can only be named before the match starts'
+            });
+        }
+
+        if (!sameId(team, match.team1) && !sameId(team, match.team2)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Team is not playing in this match'
+            });
+        }
+
+        if (playingXI.length !== match.format.playersPerSide) {
+            return res.status(400).json({
+                success: false,
+                message: `Playing XI must have ${match.format.playersPerSide} players`
+            });
+        }
+
+        const xiPlayers = playingXI.map(String);
+        const squadPlayers = [...xiPlayers, ...substitutes.map(String)];
+        if (new Set(squadPlayers).size !== squadPlayers.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'A player can only be named once'
+            });
+        }
+
+        if (!xiPlayers.includes(String(captain)) || !xiPlayers.includes(String(wicketkeeper))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Captain and wicketkeeper must be in the playing XI'
+            });
+        }
+
+        const players = await Player.find({ _id: { $in: squadPlayers }, team, isActive: true });
+        if (players.length !== squadPlayers.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'All players must be active members of the team'
+            });
+        }
+
+        const squad = { team, playingXI, substitutes, captain, wicketkeeper };
+        const existing = getSquad(match, team);
+        if (existing) {
+            existing.set(squad);
+        } else {
+            match.squads.push(squad);
+        }
+
+        await match.save();
+        await match.populate('squads.playingXI squads.substitutes squads.captain squads.wicketkeeper', 'name role');
+
+        res.json({
+            success: true,
+            message: 'Squad saved successfully',
+            data: { squad: getSquad(match, team) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/matches/{id}/start:
@@ -253,10 +649,25 @@ router.patch('/:id/start', [auth, authorize('admin', 'scorer')], async (req, res
             });
         }
 
-        if (match.status !== 'scheduled') {
+        const transitionError = checkTransition(match, 'live', 'start');
+        if (transitionError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionError
+            });
+        }
+
+        if (!match.team1 || !match.team2) {
+            return res.status(400).json({
+                success: false,
+                message: 'Both teams must be decided before the match starts'
+            });
+        }
+
+        if (!getSquad(match, match.team1) || !getSquad(match, match.team2)) {
             return res.status(400).json({
                 success: false,
-                message: 'Match cannot be started'
+                message: 'Both teams must name their playing XI before the match starts'
             });
         }
 
@@ -269,16 +680,7 @@ router.patch('/:id/start', [auth, authorize('admin', 'scorer')], async (req, res
         match.status = 'live';
         match.tossWinner = tossWinner;
         match.tossDecision = tossDecision;
-        match.innings = [{
-            battingTeam,
-            bowlingTeam,
-            runs: 0,
-            wickets: 0,
-            overs: 0,
-            balls: 0,
-            extras: { wides: 0, noBalls: 0, byes: 0, legByes: 0 },
-            isCompleted: false
-        }];
+        match.innings = [createInnings(battingTeam, bowlingTeam)];
 
         await match.save();
         await match.populate([
@@ -301,4 +703,536 @@ router.patch('/:id/start', [auth, authorize('admin', 'scorer')], async (req, res
     }
 });
 
+/**
+ * @swagger
+ * /api/matches/{id}/player-of-the-match:
+ *   get:
+ *     summary: Get the player of the match and the suggested candidates
+ *     description: Candidates are ranked by an impact score from their batting, bowling and fielding in the match's ball log, with players on the winning side preferred. When no official has made the award, the top candidate is awarded automatically once the match is completed.
+ *     tags: [Matches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of candidates to return (default 5)
+ *     responses:
+ *       200:
+ *         description: Player of the match retrieved successfully
+ *       404:
+ *         description: Match not found
+ */
+router.get('/:id/player-of-the-match', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 5;
+
+        const match = await Match.findById(req.params.id)
+            .populate('result.manOfTheMatch', 'name team');
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const balls = await Ball.find({ match: match._id });
+        const candidates = rankPlayers(match, balls).slice(0, limit);
+        await Player.populate(candidates, { path: 'player', select: 'name role' });
+
+        res.json({
+            success: true,
+            data: {
+                playerOfTheMatch: match.result.manOfTheMatch || null,
+                suggested: match.result.manOfTheMatchSuggested,
+                candidates
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/matches/{id}/player-of-the-match:
+ *   put:
+ *     summary: Award player of the match
+ *     description: Replaces any automatically suggested award. The match must be completed.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - player
+ *             properties:
+ *               player:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Player of the match awarded successfully
+ *       400:
+ *         description: Match not completed or player did not play in it
+ *       404:
+ *         description: Match not found
+ */
+router.put('/:id/player-of-the-match', [auth, authorize('admin')], [
+    body('player').notEmpty().withMessage('Player is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { player } = req.body;
+
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        if (match.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Player of the match can only be awarded once the match is completed'
+            });
+        }
+
+        // A concussed player has left the XI but still played in the match
+        const played = findPlayerSquad(match, player) || await MatchEvent.exists({
+            match: match._id,
+            type: 'concussion-replacement',
+            replacedPlayer: player
+        });
+        if (!played) {
+            return res.status(400).json({
+                success: false,
+                message: 'Player of the match must have played in the match'
+            });
+        }
+
+        match.result.manOfTheMatch = player;
+        match.result.manOfTheMatchSuggested = false;
+        await match.save();
+        await match.populate('result.manOfTheMatch', 'name team');
+
+        res.json({
+            success: true,
+            message: 'Player of the match awarded successfully',
+            data: { result: match.result }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/matches/{id}/postpone:
+ *   patch:
+ *     summary: Postpone a scheduled match
+ *     description: A postponed match is rescheduled once a new date is known.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match postponed successfully
+ *       400:
+ *         description: Match is not scheduled
+ *       404:
+ *         description: Match not found
+ */
+router.patch('/:id/postpone', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const transitionError = checkTransition(match, 'postponed', 'postpone');
+        if (transitionError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionError
+            });
+        }
+
+        match.status = 'postponed';
+        match.statusReason = req.body.reason;
+        await match.save();
+
+        res.json({
+            success: true,
+            message: 'Match postponed successfully',
+            data: { match }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/matches/{id}/reschedule:
+ *   patch:
+ *     summary: Reschedule a postponed match
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - matchDate
+ *             properties:
+ *               matchDate:
+ *                 type: string
+ *                 format: date-time
+ *               venue:
+ *                 type: string
+ *                 description: Venue ID, name or alias. A name that matches no venue creates one.
+ *     responses:
+ *       200:
+ *         description: Match rescheduled successfully
+ *       400:
+ *         description: Match is not postponed or the date is invalid
+ *       404:
+ *         description: Match not found
+ */
+router.patch('/:id/reschedule', [auth, authorize('admin', 'scorer')], [
+    body('matchDate').isISO8601().withMessage('Match date must be a valid date'),
+    venueValidator
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const transitionError = checkTransition(match, 'scheduled', 'reschedule');
+        if (transitionError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionError
+            });
+        }
+
+        const venue = req.body.venue ? await findOrCreateVenue(req.body.venue) : null;
+        if (req.body.venue && !venue) {
+            return res.status(400).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        match.status = 'scheduled';
+        match.statusReason = undefined;
+        match.matchDate = req.body.matchDate;
+        if (req.body.venue !== undefined) {
+            match.venue = venue?._id;
+        }
+        await match.save();
+
+        res.json({
+            success: true,
+            message: 'Match rescheduled successfully',
+            data: { match }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/matches/{id}/abandon:
+ *   patch:
+ *     summary: Abandon a match
+ *     description: A scheduled, postponed or live match that will not be played or finished is abandoned with no result. An abandoned match cannot be corrected or restarted.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match abandoned successfully
+ *       400:
+ *         description: Match is already completed or abandoned
+ *       404:
+ *         description: Match not found
+ */
+router.patch('/:id/abandon', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const transitionError = checkTransition(match, 'abandoned', 'abandon');
+        if (transitionError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionError
+            });
+        }
+
+        const wasLive = match.status === 'live';
+        abandonMatch(match);
+        match.statusReason = req.body.reason;
+        await match.save();
+
+        if (wasLive) {
+            publishResult(match);
+        }
+
+        res.json({
+            success: true,
+            message: 'Match abandoned successfully',
+            data: { match }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/matches/{id}/no-result:
+ *   patch:
+ *     summary: Call off a live match with no result
+ *     description: Ends play for good, keeping the deliveries bowled so far. Unlike an abandoned match, the ball log can still be corrected.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match called off with no result
+ *       400:
+ *         description: Match is not live
+ *       404:
+ *         description: Match not found
+ */
+router.patch('/:id/no-result', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const transitionError = checkTransition(match, 'completed', 'call off');
+        if (transitionError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionError
+            });
+        }
+
+        callOffMatch(match);
+        match.statusReason = req.body.reason;
+        await withCareerStats(match, session => match.save({ session }));
+        publishResult(match);
+
+        res.json({
+            success: true,
+            message: 'Match called off with no result',
+            data: { match }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/matches/{id}:
+ *   delete:
+ *     summary: Delete a match created by mistake
+ *     description: Deletes the match together with its recorded balls, match events and commentary. Deleting a completed match takes it out of its players' and teams' career figures. A knockout fixture cannot be deleted while other fixtures feed into it or once it has sent a team through to the next round.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match deleted successfully
+ *       404:
+ *         description: Match not found
+ */
+router.delete('/:id', [auth, authorize('admin')], async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        // Knockout fixtures that winners go through to, or that already sent
+        // a team through, hold the bracket together
+        if (await Match.exists({ 'fixture.nextMatch': match._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Winners of other fixtures go through to this match, so it cannot be deleted'
+            });
+        }
+        const next = match.fixture?.nextMatch ?
+            await Match.findById(match.fixture.nextMatch).select(match.fixture.nextSlot) : null;
+        if (next?.[match.fixture.nextSlot]) {
+            return res.status(400).json({
+                success: false,
+                message: 'This fixture has already sent a team through to the next round, so it cannot be deleted'
+            });
+        }
+
+        const deleteMatch = async (session = null) => {
+            const balls = await Ball.deleteMany({ match: match._id }, { session });
+            const events = await MatchEvent.deleteMany({ match: match._id }, { session });
+            await Commentary.deleteMany({ match: match._id }, { session });
+            await match.deleteOne({ session });
+            return { deletedBalls: balls.deletedCount, deletedEvents: events.deletedCount };
+        };
+
+        // A completed match no longer counts towards career figures
+        const deleted = match.status === 'completed' ?
+            await withCareerStats(match, deleteMatch) : await deleteMatch();
+
+        res.json({
+            success: true,
+            message: 'Match deleted successfully',
+            data: deleted
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,15 +3,288 @@ const { body, validationResult } = require('express-validator');
 const Match = require('../models/Match');
 const Ball = require('../models/Ball');
 const Player = require('../models/Player');
+const MatchEvent = require('../models/MatchEvent');
+const Commentary = require('../models/Commentary');
 const { auth, authorize } = require('../middleware/auth');
+const {
+    EVENT_WICKET_TYPES,
+    isLegalDelivery,
+    isBallFaced,
+    isBowlerWicket,
+    isBoundaryHit,
+    bowlerRuns,
+    deliveryRuns,
+    moveLegacyExtras,
+    isTestMatch,
+    ballsPerOver,
+    formatOvers,
+    getCurrentInnings,
+    sameId,
+    findPlayerSquad,
+    isLastManStanding,
+    isPowerplayBall,
+    isOverInProgress,
+    bowlerQuotas,
+    followOnMargin,
+    checkDelivery,
+    checkSelection,
+    checkBowler,
+    checkEvent,
+    applyBall,
+    applyEvent,
+    revertEvent,
+    declareInnings,
+    forfeitInnings,
+    enforceFollowOn,
+    concludeDraw,
+    startSuperOver,
+    applyInterruption,
+    terminatePlay,
+    removeDelivery,
+    replayMatch
+} = require('../utils/scoring');
+const { buildScorecard, buildPartnerships } = require('../utils/scorecard');
+const { buildProgression } = require('../utils/progression');
+const { deliveryCommentary, eventCommentary, buildCommentary, numberCommentary } = require('../utils/commentary');
+const { suggestAward } = require('../utils/playerOfMatch');
+const { withCareerStats } = require('../utils/careerStats');
+const { runInTransaction } = require('../utils/transaction');
+const { advanceWinner } = require('../utils/fixtures');
+const { lastUpdateId, publish, updatesSince, subscribe } = require('../utils/liveFeed');
 
 const router = express.Router();
 
+const editableBallFields = [
+    'bowler', 'batsman', 'nonStriker', 'runs', 'extraRuns', 'penaltyRuns', 'penaltyTeam', 'isBoundary',
+    'overthrows', 'isWide', 'isNoBall', 'isBye', 'isLegBye', 'isWicket', 'wicketType', 'dismissedPlayer', 'wicketTaker', 'fielder', 'commentary'
+];
+
+const findCorrectableMatch = async (matchId) => {
+    const match = await Match.findById(matchId);
+    if (!match || !['live', 'completed'].includes(match.status)) {
+        return null;
+    }
+    return match;
+};
+
+const getBallLog = (matchId) =>
+    Ball.find({ match: matchId }).sort({ innings: 1, sequence: 1, createdAt: 1 });
+
+const getEventLog = (matchId) =>
+    MatchEvent.find({ match: matchId }).sort({ innings: 1, deliveries: 1, createdAt: 1 });
+
+// Player names needed to write commentary
+const ballPlayerPaths = ['bowler', 'batsman', 'nonStriker', 'fielder', 'dismissedPlayer']
+    .map(path => ({ path, select: 'name' }));
+
+const eventPlayerPaths = ['player', 'replacedPlayer'].map(path => ({ path, select: 'name' }));
+
+// Add entries for the latest delivery or event to the end of its innings
+const appendCommentary = async (match, entries) => {
+    const { innings } = entries[0];
+    const last = await Commentary.findOne({ match: match._id, innings }).sort({ sequence: -1 }).select('sequence');
+    return Commentary.insertMany(numberCommentary(match._id, entries, { [innings]: last?.sequence || 0 }));
+};
+
+// Replace the commentary of the match with entries rebuilt from the ball log
+const replaceCommentary = async (match, entries, session = null) => {
+    await Commentary.deleteMany({ match: match._id }, { session });
+    await Commentary.insertMany(numberCommentary(match._id, entries), { session });
+};
+
+// Players already dismissed in the current innings, by a delivery or by
+// retiring out or being timed out
+const getDismissedPlayers = async (match) => {
+    const [dismissedByBalls, dismissedByEvents] = await Promise.all([
+        Ball.distinct('dismissedPlayer', {
+            match: match._id,
+            innings: match.currentInnings,
+            isWicket: true
+        }),
+        MatchEvent.distinct('player', {
+            match: match._id,
+            innings: match.currentInnings,
+            type: { $in: EVENT_WICKET_TYPES }
+        })
+    ]);
+    return [...dismissedByBalls, ...dismissedByEvents];
+};
+
+// Check the players named in a non-delivery event against the squads
+const checkEventPlayers = async (match, event) => {
+    if (event.type === 'timed-out') {
+        return checkSelection(match, { batsman: event.player }, await getDismissedPlayers(match));
+    }
+    if (event.type === 'bowler-change') {
+        return checkSelection(match, { bowler: event.player });
+    }
+    if (event.type === 'concussion-replacement' &&
+        !(await Player.exists({ _id: event.player, team: event.team, isActive: true }))) {
+        return 'The replacement must be an active member of the team';
+    }
+    return null;
+};
+
+// Store a non-delivery event after the deliveries recorded so far in the
+// current innings and apply it to the match. Returns an error message when
+// the event is not allowed.
+const recordMatchEvent = async (match, fields) => {
+    const currentInnings = getCurrentInnings(match);
+    if (!currentInnings || currentInnings.isCompleted) {
+        return { error: 'Current innings is completed' };
+    }
+
+    const event = new MatchEvent({
+        ...fields,
+        match: match._id,
+        innings: match.currentInnings,
+        deliveries: await Ball.countDocuments({ match: match._id, innings: match.currentInnings })
+    });
+
+    if (['substitution', 'concussion-replacement'].includes(event.type) && !event.team) {
+        event.team = findPlayerSquad(match, event.replacedPlayer)?.team;
+    }
+
+    await event.validate();
+
+    const error = await checkEventPlayers(match, event) || checkEvent(match, event);
+    if (error) {
+        return { error };
+    }
+
+    const over = Math.floor(currentInnings.balls / ballsPerOver(match));
+    applyEvent(match, event);
+    await event.save();
+
+    await event.populate(eventPlayerPaths);
+    const commentary = await appendCommentary(match, [eventCommentary(event, over)]);
+
+    await saveAndPublish(match, 'event', {
+        event,
+        commentary,
+        wicket: EVENT_WICKET_TYPES.includes(event.type) ? { event } : null
+    });
+    return { event };
+};
+
+// Replay the remaining balls and events and persist the rebuilt match along
+// with the renumbered balls, the `removed` ball or event and the commentary,
+// all in one transaction. Events and stoppages after a removed ball stay
+// after the same delivery. Nothing is written when the ball log no longer
+// forms a valid sequence of innings or the `corrected` delivery names players
+// who could not have been involved.
+const rebuildMatch = async (match, balls, events, { corrected = null, removed = null } = {}) => {
+    const wasCompleted = match.status === 'completed';
+    const removedBall = removed instanceof Ball ? removed : null;
+    if (removedBall) {
+        removeDelivery(match, events, removedBall);
+    }
+
+    const { error } = replayMatch(match, balls, events, corrected);
+    if (error) {
+        return error;
+    }
+
+    await Promise.all([Ball.populate(balls, ballPlayerPaths), MatchEvent.populate(events, eventPlayerPaths)]);
+    const commentary = buildCommentary(match, balls, events);
+    suggestAward(match, balls);
+
+    await saveMatch(match, wasCompleted || match.status === 'completed', async (session) => {
+        for (const ball of balls.filter(ball => ball.isModified())) {
+            await ball.save({ session });
+        }
+        if (removed) {
+            await removed.deleteOne({ session });
+        }
+        if (removedBall) {
+            await MatchEvent.updateMany(
+                { match: match._id, innings: removedBall.innings, deliveries: { $gte: removedBall.sequence } },
+                { $inc: { deliveries: -1 } },
+                { session }
+            );
+        }
+        await replaceCommentary(match, commentary, session);
+    });
+
+    // Followers reload the match rather than patching their state
+    publish(match._id, 'correction', { match: matchStateResponse(match) });
+    return null;
+};
+
+// Completing a match, or correcting a completed one, changes the career
+// figures of its players and teams, and who goes through in a knockout.
+// `writeWith` writes other changes in the same transaction as the match.
+const saveMatch = (match, resultChanged, writeWith = null) => {
+    const save = async (session = null) => {
+        if (writeWith) {
+            await writeWith(session);
+        }
+        await match.save({ session });
+        if (resultChanged) {
+            await advanceWinner(match, session);
+        }
+    };
+
+    if (resultChanged) {
+        return withCareerStats(match, save);
+    }
+    return writeWith ? runInTransaction(save) : save();
+};
+
+// Save the match and push the update to clients following it, followed by
+// innings and result updates when the change moved the match on
+const saveAndPublish = async (match, type, { wicket, ...data } = {}) => {
+    const inningsChanged = match.isModified('currentInnings');
+    const completed = match.isModified('status') && match.status === 'completed';
+    if (completed) {
+        suggestAward(match, await getBallLog(match._id));
+    }
+    await saveMatch(match, completed);
+
+    const state = matchStateResponse(match);
+    publish(match._id, type, { ...data, match: state });
+    if (wicket) {
+        publish(match._id, 'wicket', { ...wicket, match: state });
+    }
+    if (inningsChanged) {
+        publish(match._id, 'innings', { currentInnings: match.currentInnings, match: state });
+    }
+    if (completed) {
+        publish(match._id, 'result', { result: match.result, match: state });
+    }
+};
+
+const matchStateResponse = (match) => ({
+    id: match._id,
+    status: match.status,
+    currentInnings: match.currentInnings,
+    striker: match.striker,
+    nonStriker: match.nonStriker,
+    currentBowler: match.currentBowler,
+    freeHit: match.freeHit,
+    day: match.day,
+    session: match.session,
+    followOn: match.followOn,
+    interruptions: match.interruptions,
+    bowlers: bowlerQuotas(match),
+    innings: match.innings,
+    result: match.result
+});
+
+const findLiveTestMatch = async (matchId) => {
+    const match = await Match.findById(matchId);
+    if (!match || match.status !== 'live' || !isTestMatch(match)) {
+        return null;
+    }
+    return match;
+};
+
 /**
  * @swagger
  * /api/scoring/ball:
  *   post:
  *     summary: Record a ball
+ *     description: Batsman, non-striker and bowler default to the match's current crease and only need to be sent to override it.
  *     tags: [Scoring]
  *     security:
  *       - bearerAuth: []
@@ -23,8 +296,6 @@ const router = express.Router();
  *             type: object
  *             required:
  *               - match
- *               - bowler
- *               - batsman
  *               - runs
  *             properties:
  *               match:
@@ -37,6 +308,19 @@ const router = express.Router();
  *                 type: string
  *               runs:
  *                 type: number
+ *                 description: Runs off the bat, including overthrows. Runs sent here for a wide, bye or leg bye without extraRuns are taken as extra runs, as older clients send them.
+ *               extraRuns:
+ *                 type: number
+ *                 description: Wides, byes or leg byes run or to the boundary
+ *               penaltyRuns:
+ *                 type: number
+ *               penaltyTeam:
+ *                 type: string
+ *                 enum: [batting, bowling]
+ *               isBoundary:
+ *                 type: boolean
+ *               overthrows:
+ *                 type: number
  *               isWide:
  *                 type: boolean
  *               isNoBall:
@@ -49,6 +333,9 @@ const router = express.Router();
  *                 type: boolean
  *               wicketType:
  *                 type: string
+ *               dismissedPlayer:
+ *                 type: string
+ *                 description: Batsman dismissed, if not the striker (e.g. non-striker run out)
  *               fielder:
  *                 type: string
  *               commentary:
@@ -59,9 +346,9 @@ const router = express.Router();
  */
 router.post('/ball', [auth, authorize('admin', 'scorer')], [
     body('match').notEmpty().withMessage('Match ID is required'),
-    body('bowler').notEmpty().withMessage('Bowler is required'),
-    body('batsman').notEmpty().withMessage('Batsman is required'),
-    body('runs').isNumeric().withMessage('Runs must be a number')
+    body('runs').isNumeric().withMessage('Runs must be a number'),
+    body('extraRuns').optional().isNumeric().withMessage('Extra runs must be a number'),
+    body('penaltyRuns').optional().isNumeric().withMessage('Penalty runs must be a number')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -81,7 +368,7 @@ router.post('/ball', [auth, authorize('admin', 'scorer')], [
             });
         }
 
-        const currentInnings = match.innings[match.currentInnings - 1];
+        const currentInnings = getCurrentInnings(match);
         if (!currentInnings || currentInnings.isCompleted) {
             return res.status(400).json({
                 success: false,
@@ -89,111 +376,102 @@ router.post('/ball', [auth, authorize('admin', 'scorer')], [
             });
         }
 
-        // Calculate over and ball number
-        const totalBalls = currentInnings.balls + (req.body.isWide || req.body.isNoBall ? 0 : 1);
-        const over = Math.floor(totalBalls / 6);
-        const ball = (totalBalls % 6) + 1;
+        const batsman = req.body.batsman || match.striker;
+        const nonStriker = req.body.nonStriker || match.nonStriker;
+        const bowler = req.body.bowler || match.currentBowler;
 
-        // Create ball record
-        const ballData = {
-            ...req.body,
-            innings: match.currentInnings,
-            over,
-            ball: ball === 7 ? 1 : ball // Reset to 1 if it's the 7th ball (new over)
-        };
+        // The last batter bats alone under last-man-stands
+        const lastManStanding = isLastManStanding(match, currentInnings);
 
-        if (ball === 7) {
-            ballData.over = over + 1;
+        if (!batsman || (!nonStriker && !lastManStanding)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Both batsmen must be at the crease: select the new batsman first'
+            });
         }
 
-        const ballRecord = new Ball(ballData);
-        await ballRecord.save();
-
-        // Update match innings
-        let runsToAdd = req.body.runs;
-
-        // Handle extras
-        if (req.body.isWide) {
-            currentInnings.extras.wides += 1;
-            runsToAdd += 1;
-        }
-        if (req.body.isNoBall) {
-            currentInnings.extras.noBalls += 1;
-            runsToAdd += 1;
-        }
-        if (req.body.isBye) {
-            currentInnings.extras.byes += req.body.runs;
+        if (!bowler) {
+            return res.status(400).json({
+                success: false,
+                message: 'Select the bowler for the new over first'
+            });
         }
-        if (req.body.isLegBye) {
-            currentInnings.extras.legByes += req.body.runs;
+
+        if (sameId(batsman, nonStriker)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Striker and non-striker must be different players'
+            });
         }
 
-        currentInnings.runs += runsToAdd;
+        const selectionError = checkSelection(match, {
+            batsman,
+            nonStriker,
+            bowler,
+            fielder: req.body.fielder
+        }, await getDismissedPlayers(match));
+        if (selectionError) {
+            return res.status(400).json({
+                success: false,
+                message: selectionError
+            });
+        }
 
-        if (req.body.isWicket) {
-            currentInnings.wickets += 1;
+        if (isOverInProgress(match, currentInnings) && !sameId(bowler, match.currentBowler)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The bowler cannot change during an over unless replaced through the replace-bowler endpoint'
+            });
         }
 
-        // Update balls and overs only if not wide or no-ball
-        if (!req.body.isWide && !req.body.isNoBall) {
-            currentInnings.balls += 1;
-            currentInnings.overs = Math.floor(currentInnings.balls / 6) +
-                (currentInnings.balls % 6 > 0 ? (currentInnings.balls % 6) / 10 : 0);
+        const bowlerError = checkBowler(match, bowler);
+        if (bowlerError) {
+            return res.status(400).json({
+                success: false,
+                message: bowlerError
+            });
         }
 
-        // Check if innings is complete
-        const maxOvers = match.overs;
-        const oversCompleted = Math.floor(currentInnings.balls / 6);
+        const previousBalls = await Ball.countDocuments({
+            match: match._id,
+            innings: match.currentInnings
+        });
 
-        if (oversCompleted >= maxOvers || currentInnings.wickets >= 10) {
-            currentInnings.isCompleted = true;
+        const ballRecord = new Ball({
+            ...req.body,
+            batsman,
+            nonStriker: lastManStanding ? undefined : nonStriker,
+            bowler,
+            sequence: previousBalls + 1
+        });
+        moveLegacyExtras(ballRecord);
 
-            // Check if match is complete or start second innings
-            if (match.currentInnings === 1) {
-                // Start second innings
-                match.currentInnings = 2;
-                const firstInnings = match.innings[0];
-                match.innings.push({
-                    battingTeam: firstInnings.bowlingTeam,
-                    bowlingTeam: firstInnings.battingTeam,
-                    runs: 0,
-                    wickets: 0,
-                    overs: 0,
-                    balls: 0,
-                    extras: { wides: 0, noBalls: 0, byes: 0, legByes: 0 },
-                    isCompleted: false
-                });
-            } else {
-                // Match completed
-                match.status = 'completed';
-
-                // Determine winner
-                const firstInnings = match.innings[0];
-                const secondInnings = match.innings[1];
-
-                if (secondInnings.runs > firstInnings.runs) {
-                    match.result.winner = secondInnings.battingTeam;
-                    match.result.resultType = 'wickets';
-                    match.result.margin = `${10 - secondInnings.wickets} wickets`;
-                } else if (firstInnings.runs > secondInnings.runs) {
-                    match.result.winner = firstInnings.battingTeam;
-                    match.result.resultType = 'runs';
-                    match.result.margin = `${firstInnings.runs - secondInnings.runs} runs`;
-                } else {
-                    match.result.resultType = 'tie';
-                    match.result.margin = 'Match tied';
-                }
-            }
+        const deliveryError = checkDelivery(match, ballRecord);
+        if (deliveryError) {
+            return res.status(400).json({
+                success: false,
+                message: deliveryError
+            });
         }
 
-        await match.save();
+        applyBall(match, ballRecord);
+        await ballRecord.save();
 
-        await ballRecord.populate([
-            { path: 'bowler', select: 'name' },
-            { path: 'batsman', select: 'name' },
-            { path: 'nonStriker', select: 'name' },
-            { path: 'fielder', select: 'name' }
-        ]);
+        await ballRecord.populate(ballPlayerPaths);
+
+        const overBalls = await Ball.find({
+            match: match._id,
+            innings: ballRecord.innings,
+            over: ballRecord.over
+        }).sort({ sequence: 1 });
+        const commentary = await appendCommentary(match,
+            deliveryCommentary(match, ballRecord, overBalls, match.innings[ballRecord.innings - 1]));
+
+        await saveAndPublish(match, 'ball', {
+            ball: ballRecord,
+            commentary,
+            wicket: ballRecord.isWicket ? { ball: ballRecord } : null
+        });
 
         res.status(201).json({
             success: true,
@@ -204,11 +482,23 @@ router.post('/ball', [auth, authorize('admin', 'scorer')], [
                     id: match._id,
                     status: match.status,
                     currentInnings: match.currentInnings,
+                    striker: match.striker,
+                    nonStriker: match.nonStriker,
+                    currentBowler: match.currentBowler,
+                    freeHit: match.freeHit,
+                    bowlers: bowlerQuotas(match),
                     innings: match.innings
                 }
             }
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                error: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Server error',
@@ -237,6 +527,7 @@ router.get('/match/:id/scorecard', async (req, res) => {
     try {
         const match = await Match.findById(req.params.id)
             .populate('team1 team2', 'name shortName')
+            .populate('squads.playingXI', 'name')
             .populate('result.winner', 'name shortName');
 
         if (!match) {
@@ -247,83 +538,202 @@ router.get('/match/:id/scorecard', async (req, res) => {
         }
 
         // Get ball-by-ball data
-        const balls = await Ball.find({ match: req.params.id })
-            .populate('bowler batsman nonStriker fielder', 'name')
-            .sort({ innings: 1, over: 1, ball: 1 });
-
-        // Calculate batting and bowling stats
-        const battingStats = {};
-        const bowlingStats = {};
-
-        balls.forEach(ball => {
-            // Batting stats
-            if (!battingStats[ball.batsman._id]) {
-                battingStats[ball.batsman._id] = {
-                    player: ball.batsman,
-                    runs: 0,
-                    balls: 0,
-                    fours: 0,
-                    sixes: 0,
-                    isOut: false,
-                    dismissal: null
-                };
-            }
+        const balls = await getBallLog(req.params.id)
+            .populate('bowler batsman nonStriker fielder dismissedPlayer', 'name');
+        const events = await getEventLog(req.params.id)
+            .populate('player replacedPlayer', 'name');
 
-            if (!ball.isBye && !ball.isLegBye) {
-                battingStats[ball.batsman._id].runs += ball.runs;
-            }
-
-            if (!ball.isWide && !ball.isNoBall) {
-                battingStats[ball.batsman._id].balls += 1;
+        res.json({
+            success: true,
+            data: {
+                match,
+                innings: buildScorecard(match, balls, events)
             }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
 
-            if (ball.runs === 4) battingStats[ball.batsman._id].fours += 1;
-            if (ball.runs === 6) battingStats[ball.batsman._id].sixes += 1;
+/**
+ * @swagger
+ * /api/scoring/match/{id}/partnerships:
+ *   get:
+ *     summary: Get the partnerships of each innings
+ *     description: Runs, balls and each batter's contribution for every stand, with the wicket it was for and whether it is unbroken.
+ *     tags: [Scoring]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Partnerships retrieved successfully
+ *       404:
+ *         description: Match not found
+ */
+router.get('/match/:id/partnerships', async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
 
-            if (ball.isWicket) {
-                battingStats[ball.batsman._id].isOut = true;
-                battingStats[ball.batsman._id].dismissal = {
-                    type: ball.wicketType,
-                    bowler: ball.bowler.name,
-                    fielder: ball.fielder?.name
-                };
-            }
+        const [balls, events] = await Promise.all([
+            getBallLog(match._id).populate('batsman nonStriker', 'name'),
+            getEventLog(match._id).populate('player', 'name')
+        ]);
 
-            // Bowling stats
-            if (!bowlingStats[ball.bowler._id]) {
-                bowlingStats[ball.bowler._id] = {
-                    player: ball.bowler,
-                    overs: 0,
-                    runs: 0,
-                    wickets: 0,
-                    maidens: 0,
-                    wides: 0,
-                    noBalls: 0
-                };
-            }
+        const innings = match.innings.map((inningsData, index) => ({
+            number: index + 1,
+            superOver: inningsData.superOver,
+            battingTeam: inningsData.battingTeam,
+            partnerships: buildPartnerships(
+                balls.filter(ball => ball.innings === index + 1),
+                events.filter(event => event.innings === index + 1)
+            )
+        }));
 
-            bowlingStats[ball.bowler._id].runs += ball.runs;
-            if (ball.isWide) bowlingStats[ball.bowler._id].wides += 1;
-            if (ball.isNoBall) bowlingStats[ball.bowler._id].noBalls += 1;
-            if (ball.isWicket) bowlingStats[ball.bowler._id].wickets += 1;
+        res.json({
+            success: true,
+            data: { innings }
         });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
 
-        // Calculate bowling overs
-        Object.values(bowlingStats).forEach(bowler => {
-            const bowlerBalls = balls.filter(b =>
-                b.bowler._id.toString() === bowler.player._id.toString() &&
-                !b.isWide && !b.isNoBall
-            ).length;
-            bowler.overs = Math.floor(bowlerBalls / 6) + (bowlerBalls % 6) / 10;
+/**
+ * @swagger
+ * /api/scoring/match/{id}/progression:
+ *   get:
+ *     summary: Get over-by-over progression for Manhattan and worm charts
+ *     description: For each innings, every over's runs, wickets, extras and bowlers with the cumulative score, run rate and, in a limited-overs chase, the required rate. The worm lists the cumulative score of each innings after every over side by side. The current over of a live innings is included with the balls bowled so far.
+ *     tags: [Scoring]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Progression retrieved successfully
+ *       404:
+ *         description: Match not found
+ */
+router.get('/match/:id/progression', async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const [balls, events] = await Promise.all([
+            getBallLog(match._id).populate('bowler', 'name'),
+            getEventLog(match._id)
+        ]);
+
+        res.json({
+            success: true,
+            data: buildProgression(match, balls, events)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
         });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/commentary:
+ *   get:
+ *     summary: Get the commentary feed of a match, newest first
+ *     description: A generated line for every delivery and match event, including any commentary entered by the scorer, with a summary at the end of each over.
+ *     tags: [Scoring]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: innings
+ *         schema:
+ *           type: integer
+ *         description: Only show commentary from this innings
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Commentary retrieved successfully
+ *       404:
+ *         description: Match not found
+ */
+router.get('/match/:id/commentary', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const match = await Match.exists({ _id: req.params.id });
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const query = { match: req.params.id };
+        const innings = parseInt(req.query.innings);
+        if (innings) {
+            query.innings = innings;
+        }
+
+        const commentary = await Commentary.find(query)
+            .skip(skip)
+            .limit(limit)
+            .sort({ innings: -1, sequence: -1 });
+
+        const total = await Commentary.countDocuments(query);
 
         res.json({
             success: true,
             data: {
-                match,
-                battingStats: Object.values(battingStats),
-                bowlingStats: Object.values(bowlingStats),
-                balls
+                commentary,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
             }
         });
     } catch (error) {
@@ -337,24 +747,1317 @@ router.get('/match/:id/scorecard', async (req, res) => {
 
 /**
  * @swagger
- * /api/scoring/live:
+ * /api/scoring/match/{id}/stream:
  *   get:
- *     summary: Get live matches
+ *     summary: Follow a match live with Server-Sent Events
+ *     description: |
+ *       Streams `ball`, `wicket`, `event`, `innings`, `result`, `state` and `correction` updates as they are recorded, each with the match state after it.
+ *       A reconnecting client sends the ID of the last update it received in the `Last-Event-ID` header (sent automatically by EventSource) or the `lastEventId` query parameter and receives the updates it missed.
+ *       When those can no longer be replayed, for example after a server restart, a `snapshot` of the current match state is sent first.
  *     tags: [Scoring]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Live matches retrieved successfully
+ *         description: Event stream of match updates
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Match not found
  */
-router.get('/live', async (req, res) => {
+router.get('/match/:id/stream', async (req, res) => {
     try {
-        const liveMatches = await Match.find({ status: 'live' })
-            .populate('team1 team2', 'name shortName logo')
-            .populate('result.winner', 'name shortName')
-            .sort({ matchDate: -1 });
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
 
-        res.json({
-            success: true,
-            data: { matches: liveMatches }
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (update) => {
+            res.write(`id: ${update.id}\nevent: ${update.type}\ndata: ${JSON.stringify(update.data)}\n\n`);
+        };
+
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const missed = lastEventId ? updatesSince(match._id, lastEventId) : null;
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            send({ id: lastUpdateId(match._id), type: 'snapshot', data: { match: matchStateResponse(match) } });
+        }
+
+        const unsubscribe = subscribe(match._id, send);
+
+        // Comment lines keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/live:
+ *   get:
+ *     summary: Get live matches
+ *     tags: [Scoring]
+ *     responses:
+ *       200:
+ *         description: Live matches retrieved successfully
+ */
+router.get('/live', async (req, res) => {
+    try {
+        const liveMatches = await Match.find({ status: 'live' })
+            .populate('team1 team2', 'name shortName logo')
+            .populate('striker nonStriker currentBowler', 'name')
+            .populate('innings.bowlers.player', 'name')
+            .populate('result.winner', 'name shortName')
+            .sort({ matchDate: -1 });
+
+        // Overs left for each bowler in the current innings
+        const matches = liveMatches.map(match => ({
+            ...match.toJSON(),
+            bowlers: bowlerQuotas(match)
+        }));
+
+        res.json({
+            success: true,
+            data: { matches }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/crease:
+ *   patch:
+ *     summary: Set the batsmen at the crease and the current bowler
+ *     description: Used for the openers, the new batsman after a wicket and the bowler at the start of each over. Only the fields sent are changed.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               striker:
+ *                 type: string
+ *               nonStriker:
+ *                 type: string
+ *               bowler:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Crease updated successfully
+ *       400:
+ *         description: Match not live or invalid players
+ */
+router.patch('/match/:id/crease', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const { striker, nonStriker, bowler } = req.body;
+
+        const match = await Match.findById(req.params.id);
+        if (!match || match.status !== 'live') {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not live'
+            });
+        }
+
+        const currentInnings = getCurrentInnings(match);
+        if (!currentInnings || currentInnings.isCompleted) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current innings is completed'
+            });
+        }
+
+        if (nonStriker && isLastManStanding(match, currentInnings)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The last batter bats alone: no non-striker can be set'
+            });
+        }
+
+        if (bowler && !sameId(bowler, match.currentBowler)) {
+            if (isOverInProgress(match, currentInnings)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The bowler cannot change during an over unless replaced through the replace-bowler endpoint'
+                });
+            }
+
+            const bowlerError = checkBowler(match, bowler);
+            if (bowlerError) {
+                return res.status(400).json({
+                    success: false,
+                    message: bowlerError
+                });
+            }
+        }
+
+        if (striker) match.striker = striker;
+        if (nonStriker) match.nonStriker = nonStriker;
+        if (bowler) match.currentBowler = bowler;
+
+        if (sameId(match.striker, match.nonStriker)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Striker and non-striker must be different players'
+            });
+        }
+
+        const selectionError = checkSelection(match, {
+            batsman: match.striker,
+            nonStriker: match.nonStriker,
+            bowler: match.currentBowler
+        }, await getDismissedPlayers(match));
+        if (selectionError) {
+            return res.status(400).json({
+                success: false,
+                message: selectionError
+            });
+        }
+
+        await saveAndPublish(match, 'state', { action: 'crease' });
+        await match.populate('striker nonStriker currentBowler', 'name');
+
+        res.json({
+            success: true,
+            message: 'Crease updated successfully',
+            data: {
+                striker: match.striker,
+                nonStriker: match.nonStriker,
+                currentBowler: match.currentBowler
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/declare:
+ *   post:
+ *     summary: Declare the current innings closed
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Innings declared successfully
+ *       400:
+ *         description: Match is not a live Test match or the action is not allowed
+ */
+router.post('/match/:id/declare', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await findLiveTestMatch(req.params.id);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not a live Test match'
+            });
+        }
+
+        if (match.currentInnings === 4) {
+            return res.status(400).json({
+                success: false,
+                message: 'The fourth innings cannot be declared'
+            });
+        }
+
+        declareInnings(match);
+
+        await saveAndPublish(match, 'state', { action: 'declare' });
+
+        res.json({
+            success: true,
+            message: 'Innings declared successfully',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/forfeit:
+ *   post:
+ *     summary: Forfeit the current innings
+ *     description: Only allowed before a ball has been bowled in the innings.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Innings forfeited successfully
+ *       400:
+ *         description: Match is not a live Test match or the action is not allowed
+ */
+router.post('/match/:id/forfeit', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await findLiveTestMatch(req.params.id);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not a live Test match'
+            });
+        }
+
+        const ballsBowled = await Ball.countDocuments({ match: match._id, innings: match.currentInnings });
+        if (ballsBowled > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'An innings can only be forfeited before it starts'
+            });
+        }
+
+        forfeitInnings(match);
+
+        await saveAndPublish(match, 'state', { action: 'forfeit' });
+
+        res.json({
+            success: true,
+            message: 'Innings forfeited successfully',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/follow-on:
+ *   post:
+ *     summary: Enforce the follow-on
+ *     description: Makes the side that batted second bat again in the third innings. Requires a first-innings lead of 200 runs in a five-day match (150, 100 and 75 for shorter matches).
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Follow-on enforced successfully
+ *       400:
+ *         description: Match is not a live Test match or the action is not allowed
+ */
+router.post('/match/:id/follow-on', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await findLiveTestMatch(req.params.id);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not a live Test match'
+            });
+        }
+
+        const ballsBowled = await Ball.countDocuments({ match: match._id, innings: 3 });
+        if (match.currentInnings !== 3 || ballsBowled > 0 || match.followOn) {
+            return res.status(400).json({
+                success: false,
+                message: 'The follow-on can only be enforced before the third innings starts'
+            });
+        }
+
+        const lead = match.innings[0].runs - match.innings[1].runs;
+        if (lead < followOnMargin(match)) {
+            return res.status(400).json({
+                success: false,
+                message: `A lead of at least ${followOnMargin(match)} runs is required to enforce the follow-on`
+            });
+        }
+
+        enforceFollowOn(match);
+
+        await saveAndPublish(match, 'state', { action: 'follow-on' });
+
+        res.json({
+            success: true,
+            message: 'Follow-on enforced successfully',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/session:
+ *   patch:
+ *     summary: Set the current day and session of play
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - day
+ *               - session
+ *             properties:
+ *               day:
+ *                 type: number
+ *               session:
+ *                 type: number
+ *                 enum: [1, 2, 3]
+ *     responses:
+ *       200:
+ *         description: Session updated successfully
+ *       400:
+ *         description: Match is not a live Test match or the action is not allowed
+ */
+router.patch('/match/:id/session', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await findLiveTestMatch(req.params.id);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not a live Test match'
+            });
+        }
+
+        const day = parseInt(req.body.day);
+        const session = parseInt(req.body.session);
+
+        if (!(day >= 1 && day <= match.days) || !(session >= 1 && session <= 3)) {
+            return res.status(400).json({
+                success: false,
+                message: `Day must be between 1 and ${match.days} and session between 1 and 3`
+            });
+        }
+
+        match.day = day;
+        match.session = session;
+
+        await saveAndPublish(match, 'state', { action: 'session' });
+
+        res.json({
+            success: true,
+            message: 'Session updated successfully',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/draw:
+ *   post:
+ *     summary: End the match as a draw
+ *     description: Used when time runs out before a result is reached.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match drawn
+ *       400:
+ *         description: Match is not a live Test match or the action is not allowed
+ */
+router.post('/match/:id/draw', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await findLiveTestMatch(req.params.id);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not a live Test match'
+            });
+        }
+
+        concludeDraw(match);
+
+        await saveAndPublish(match, 'state', { action: 'draw' });
+
+        res.json({
+            success: true,
+            message: 'Match drawn',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/super-over:
+ *   post:
+ *     summary: Start a super over after a tie
+ *     description: Reopens a tied limited-overs match for a one-over, two-wicket innings per side, with the side that batted second batting first. Can be repeated if the super over is tied too.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Super over started successfully
+ *       400:
+ *         description: Match is not a tied limited-overs match
+ */
+router.post('/match/:id/super-over', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match || isTestMatch(match) || match.status !== 'completed' || match.result.resultType !== 'tie') {
+            return res.status(400).json({
+                success: false,
+                message: 'A super over can only follow a tied limited-overs match'
+            });
+        }
+
+        startSuperOver(match);
+        await saveAndPublish(match, 'state', { action: 'super-over' });
+
+        res.json({
+            success: true,
+            message: 'Super over started successfully',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/interruption:
+ *   post:
+ *     summary: Record a stoppage and reduce the overs of the current innings
+ *     description: Limited-overs matches only. Recalculates the chase target and par score with the DLS Standard Edition resource table. A first innings cut short also limits the second innings to the same overs; record a stoppage before the second innings starts to change that.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revisedOvers
+ *             properties:
+ *               revisedOvers:
+ *                 type: number
+ *                 description: Overs the current innings is reduced to
+ *               reason:
+ *                 type: string
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Interruption recorded successfully
+ *       400:
+ *         description: Match is not a live limited-overs match or the overs are invalid
+ */
+router.post('/match/:id/interruption', [auth, authorize('admin', 'scorer')], [
+    body('revisedOvers').isInt({ min: 0 }).withMessage('Revised overs must be a whole number'),
+    body('startedAt').optional().isISO8601().withMessage('Invalid start time'),
+    body('endedAt').optional().isISO8601().withMessage('Invalid end time')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const match = await Match.findById(req.params.id);
+        if (!match || match.status !== 'live' || isTestMatch(match)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not a live limited-overs match'
+            });
+        }
+
+        const currentInnings = getCurrentInnings(match);
+        if (currentInnings.superOver) {
+            return res.status(400).json({
+                success: false,
+                message: 'Super overs cannot be reduced'
+            });
+        }
+
+        const revisedOvers = parseInt(req.body.revisedOvers);
+        if (revisedOvers > (currentInnings.maxOvers ?? match.overs)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revised overs cannot exceed the overs currently available'
+            });
+        }
+
+        const deliveries = await Ball.countDocuments({
+            match: match._id,
+            innings: match.currentInnings
+        });
+
+        applyInterruption(match, {
+            deliveries,
+            revisedOvers,
+            reason: req.body.reason,
+            startedAt: req.body.startedAt,
+            endedAt: req.body.endedAt
+        });
+        await saveAndPublish(match, 'state', { action: 'interruption' });
+
+        res.json({
+            success: true,
+            message: 'Interruption recorded successfully',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/terminate:
+ *   post:
+ *     summary: Abandon further play in a limited-overs match
+ *     description: Decides the match on the DLS par score if the side batting second has faced the minimum overs (5 in T10 and T20, 20 in ODI), otherwise records no result.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Play terminated and result recorded
+ *       400:
+ *         description: Match is not a live limited-overs match
+ */
+router.post('/match/:id/terminate', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match || match.status !== 'live' || isTestMatch(match)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not a live limited-overs match'
+            });
+        }
+
+        terminatePlay(match);
+        await saveAndPublish(match, 'state', { action: 'terminate' });
+
+        res.json({
+            success: true,
+            message: 'Play terminated successfully',
+            data: { match: matchStateResponse(match) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/replace-bowler:
+ *   post:
+ *     summary: Replace a bowler who cannot finish the current over
+ *     description: Another bowler completes the over. Each delivery stays credited to the bowler who bowled it, and the part over counts as a full over towards both bowlers' quotas. Neither bowler may bowl the next over, and the replacement must not have bowled the previous one.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bowler
+ *             properties:
+ *               bowler:
+ *                 type: string
+ *                 description: Player ID of the bowler completing the over
+ *               reason:
+ *                 type: string
+ *                 enum: [injury, suspension]
+ *     responses:
+ *       200:
+ *         description: Bowler replaced successfully
+ *       400:
+ *         description: No over in progress or the replacement cannot bowl
+ */
+router.post('/match/:id/replace-bowler', [auth, authorize('admin', 'scorer')], [
+    body('bowler').notEmpty().withMessage('Bowler is required'),
+    body('reason').optional().isIn(['injury', 'suspension']).withMessage('Invalid reason')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const match = await Match.findById(req.params.id);
+        if (!match || match.status !== 'live') {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not live'
+            });
+        }
+
+        const { error, event } = await recordMatchEvent(match, {
+            type: 'bowler-change',
+            player: req.body.bowler,
+            reason: req.body.reason
+        });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Bowler replaced successfully',
+            data: {
+                event,
+                match: matchStateResponse(match)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/event:
+ *   post:
+ *     summary: Record a non-delivery event
+ *     description: Retirements, timed out, a retired batter resuming, substitute fielders, concussion replacements, penalty runs, a mid-over bowler change, drinks and timeouts. The event is placed after the deliveries recorded so far in the current innings and stays after the same delivery when the match is rebuilt after a correction, including when an earlier ball is deleted.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MatchEvent'
+ *     responses:
+ *       201:
+ *         description: Event recorded successfully
+ *       400:
+ *         description: Match not live or the event is not allowed
+ */
+router.post('/match/:id/event', [auth, authorize('admin', 'scorer')], [
+    body('type').notEmpty().withMessage('Event type is required'),
+    body('runs').optional().isInt({ min: 0 }).withMessage('Runs must be a whole number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const match = await Match.findById(req.params.id);
+        if (!match || match.status !== 'live') {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not live'
+            });
+        }
+
+        const { type, player, replacedPlayer, team, runs, penaltyTeam, reason, commentary } = req.body;
+        const { error, event } = await recordMatchEvent(match, {
+            type, player, replacedPlayer, team, runs, penaltyTeam, reason, commentary
+        });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await event.populate('player replacedPlayer', 'name');
+
+        res.status(201).json({
+            success: true,
+            message: 'Event recorded successfully',
+            data: {
+                event,
+                match: matchStateResponse(match)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/event/{id}:
+ *   delete:
+ *     summary: Delete a recorded match event
+ *     description: Removes the event and recalculates the match from the ball log and the remaining events. A concussion replacement is taken out of the playing XI again.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event deleted and match recalculated
+ *       404:
+ *         description: Event not found
+ */
+router.delete('/event/:id', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const event = await MatchEvent.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const match = await findCorrectableMatch(event.match);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not live'
+            });
+        }
+
+        const events = (await getEventLog(match._id))
+            .filter(recorded => !recorded._id.equals(event._id));
+
+        revertEvent(match, event);
+        const error = await rebuildMatch(match, await getBallLog(match._id), events, { removed: event });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Event deleted successfully',
+            data: {
+                match: matchStateResponse(match)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/timeline:
+ *   get:
+ *     summary: Get the ball-by-ball timeline with match events
+ *     description: Deliveries and non-delivery events in the order they happened, innings by innings.
+ *     tags: [Scoring]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Timeline retrieved successfully
+ *       404:
+ *         description: Match not found
+ */
+router.get('/match/:id/timeline', async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const [balls, events] = await Promise.all([
+            getBallLog(match._id).populate('bowler batsman nonStriker fielder dismissedPlayer', 'name'),
+            getEventLog(match._id).populate('player replacedPlayer', 'name')
+        ]);
+
+        // An event follows the delivery it was recorded after
+        const timeline = [
+            ...balls.map(ball => ({ kind: 'ball', innings: ball.innings, position: ball.sequence, entry: ball })),
+            ...events.map(event => ({ kind: 'event', innings: event.innings, position: event.deliveries + 0.5, entry: event }))
+        ].sort((a, b) => a.innings - b.innings || a.position - b.position);
+
+        res.json({
+            success: true,
+            data: {
+                timeline: timeline.map(({ kind, entry }) => ({ kind, ...entry.toJSON() }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/match/{id}/undo:
+ *   post:
+ *     summary: Undo the last recorded ball
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Last ball removed and match recalculated
+ *       400:
+ *         description: Match not live or completed, or no balls recorded
+ */
+router.post('/match/:id/undo', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await findCorrectableMatch(req.params.id);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not live'
+            });
+        }
+
+        const balls = await getBallLog(match._id);
+        const lastBall = balls.pop();
+        if (!lastBall) {
+            return res.status(400).json({
+                success: false,
+                message: 'No balls recorded for this match'
+            });
+        }
+
+        const error = await rebuildMatch(match, balls, await getEventLog(match._id), { removed: lastBall });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Last ball undone successfully',
+            data: {
+                ball: lastBall,
+                match: matchStateResponse(match)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/ball/{id}:
+ *   put:
+ *     summary: Correct a recorded ball
+ *     description: Updates the delivery and recalculates the innings totals, ball numbering and result from the ball log. The batsmen, bowler and fielder must have been able to take part in the delivery when it was bowled.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bowler:
+ *                 type: string
+ *               batsman:
+ *                 type: string
+ *               nonStriker:
+ *                 type: string
+ *               runs:
+ *                 type: number
+ *                 description: Runs off the bat, including overthrows. Runs sent here for a wide, bye or leg bye without extraRuns are taken as extra runs, as older clients send them.
+ *               extraRuns:
+ *                 type: number
+ *                 description: Wides, byes or leg byes run or to the boundary
+ *               penaltyRuns:
+ *                 type: number
+ *               penaltyTeam:
+ *                 type: string
+ *                 enum: [batting, bowling]
+ *               isBoundary:
+ *                 type: boolean
+ *               overthrows:
+ *                 type: number
+ *               isWide:
+ *                 type: boolean
+ *               isNoBall:
+ *                 type: boolean
+ *               isBye:
+ *                 type: boolean
+ *               isLegBye:
+ *                 type: boolean
+ *               isWicket:
+ *                 type: boolean
+ *               wicketType:
+ *                 type: string
+ *               fielder:
+ *                 type: string
+ *               commentary:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ball corrected and match recalculated
+ *       404:
+ *         description: Ball not found
+ */
+router.put('/ball/:id', [auth, authorize('admin', 'scorer')], [
+    body('runs').optional().isNumeric().withMessage('Runs must be a number'),
+    body('extraRuns').optional().isNumeric().withMessage('Extra runs must be a number'),
+    body('penaltyRuns').optional().isNumeric().withMessage('Penalty runs must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const ballRecord = await Ball.findById(req.params.id);
+        if (!ballRecord) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ball not found'
+            });
+        }
+
+        const match = await findCorrectableMatch(ballRecord.match);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not live'
+            });
+        }
+
+        const balls = await getBallLog(match._id);
+        const target = balls.find(ball => ball._id.equals(ballRecord._id));
+        editableBallFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                target.set(field, req.body[field]);
+            }
+        });
+        moveLegacyExtras(target);
+
+        await target.validate();
+
+        const error = await rebuildMatch(match, balls, await getEventLog(match._id), { corrected: target });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await target.populate([
+            { path: 'bowler', select: 'name' },
+            { path: 'batsman', select: 'name' },
+            { path: 'nonStriker', select: 'name' },
+            { path: 'fielder', select: 'name' }
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Ball corrected successfully',
+            data: {
+                ball: target,
+                match: matchStateResponse(match)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/scoring/ball/{id}:
+ *   delete:
+ *     summary: Delete a recorded ball
+ *     description: Removes the delivery and recalculates the innings totals, ball numbering and result from the remaining ball log.
+ *     tags: [Scoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ball deleted and match recalculated
+ *       404:
+ *         description: Ball not found
+ */
+router.delete('/ball/:id', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const ballRecord = await Ball.findById(req.params.id);
+        if (!ballRecord) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ball not found'
+            });
+        }
+
+        const match = await findCorrectableMatch(ballRecord.match);
+        if (!match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Match not found or not live'
+            });
+        }
+
+        const balls = (await getBallLog(match._id))
+            .filter(ball => !ball._id.equals(ballRecord._id));
+
+        const error = await rebuildMatch(match, balls, await getEventLog(match._id), { removed: ballRecord });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Ball deleted successfully',
+            data: {
+                match: matchStateResponse(match)
+            }
         });
     } catch (error) {
         res.status(500).json({
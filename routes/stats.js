@@ -1,11 +1,152 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const Match = require('../models/Match');
 const Ball = require('../models/Ball');
 const Player = require('../models/Player');
 const Team = require('../models/Team');
+const Venue = require('../models/Venue');
+const MatchEvent = require('../models/MatchEvent');
+const { auth, authorize } = require('../middleware/auth');
+const {
+    NON_BOWLER_WICKET_TYPES,
+    EVENT_WICKET_TYPES,
+    isLegalDelivery,
+    isBallFaced,
+    isBowlerWicket,
+    isBoundaryHit,
+    bowlerRuns,
+    ballsPerOver
+} = require('../utils/scoring');
+const { DEFAULT_FORMAT, MATCH_TYPES } = require('../utils/formats');
+const { buildPartnerships } = require('../utils/scorecard');
+const { rebuildCareerStats } = require('../utils/careerStats');
+const { buildVenueRecords, buildHeadToHead } = require('../utils/records');
 
 const router = express.Router();
 
+// Aggregation equivalents of the attribution rules in utils/scoring.js
+const legalBallExpression = {
+    $cond: [{ $or: [{ $eq: ['$isWide', true] }, { $eq: ['$isNoBall', true] }] }, 0, 1]
+};
+
+const ballFacedExpression = { $cond: [{ $eq: ['$isWide', true] }, 0, 1] };
+
+const boundaryExpression = (runs) => ({
+    $cond: [{ $and: [{ $eq: ['$runs', runs] }, { $ne: ['$isBoundary', false] }] }, 1, 0]
+});
+
+const bowlerRunsExpression = {
+    $add: [
+        '$runs',
+        { $cond: [{ $or: [{ $eq: ['$isWide', true] }, { $eq: ['$isNoBall', true] }] }, 1, 0] },
+        { $cond: [{ $eq: ['$isWide', true] }, { $ifNull: ['$extraRuns', 0] }, 0] }
+    ]
+};
+
+const bowlerWicketExpression = {
+    $cond: [
+        { $and: [{ $eq: ['$isWicket', true] }, { $not: [{ $in: ['$wicketType', NON_BOWLER_WICKET_TYPES] }] }] },
+        1,
+        0
+    ]
+};
+
+// Leading run scorers and wicket takers in the given matches, leaving out
+// super overs
+const topPerformers = async (matchIds, limit) => {
+    const balls = { match: { $in: matchIds }, isSuperOver: { $ne: true } };
+
+    const [batters, bowlers] = await Promise.all([
+        Ball.aggregate([
+            { $match: balls },
+            {
+                $group: {
+                    _id: '$batsman',
+                    runs: { $sum: '$runs' },
+                    balls: { $sum: ballFacedExpression },
+                    matches: { $addToSet: '$match' }
+                }
+            },
+            { $sort: { runs: -1, balls: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, player: '$_id', runs: 1, balls: 1, matches: { $size: '$matches' } } }
+        ]),
+        Ball.aggregate([
+            { $match: balls },
+            {
+                $group: {
+                    _id: '$bowler',
+                    wickets: { $sum: bowlerWicketExpression },
+                    runs: { $sum: bowlerRunsExpression },
+                    balls: { $sum: legalBallExpression },
+                    matches: { $addToSet: '$match' }
+                }
+            },
+            { $match: { wickets: { $gt: 0 } } },
+            { $sort: { wickets: -1, runs: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, player: '$_id', wickets: 1, runs: 1, balls: 1, matches: { $size: '$matches' } } }
+        ])
+    ]);
+
+    await Player.populate([...batters, ...bowlers], { path: 'player', select: 'name team' });
+    return { batters, bowlers };
+};
+
+const dotBallExpression = {
+    $cond: [{ $and: [{ $ne: ['$isWide', true] }, { $eq: ['$runs', 0] }] }, 1, 0]
+};
+
+// Batter against bowler figures for every pair in the matching balls, leaving
+// out super overs. Dismissals are the ones credited to the bowler.
+const matchupFigures = async (filter, matchType) => {
+    const match = { ...filter, isSuperOver: { $ne: true } };
+    if (matchType) {
+        match.match = { $in: await Match.distinct('_id', { matchType }) };
+    }
+
+    const pairs = await Ball.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { batter: '$batsman', bowler: '$bowler' },
+                balls: { $sum: ballFacedExpression },
+                runs: { $sum: '$runs' },
+                dismissals: { $sum: bowlerWicketExpression },
+                dots: { $sum: dotBallExpression },
+                fours: { $sum: boundaryExpression(4) },
+                sixes: { $sum: boundaryExpression(6) },
+                matches: { $addToSet: '$match' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                batter: '$_id.batter',
+                bowler: '$_id.bowler',
+                balls: 1,
+                runs: 1,
+                dismissals: 1,
+                dots: 1,
+                fours: 1,
+                sixes: 1,
+                matches: { $size: '$matches' }
+            }
+        }
+    ]);
+
+    return pairs.map(pair => ({
+        ...pair,
+        strikeRate: pair.balls > 0 ? Number((pair.runs / pair.balls * 100).toFixed(2)) : 0,
+        average: pair.dismissals > 0 ? Number((pair.runs / pair.dismissals).toFixed(2)) : null
+    }));
+};
+
+// Order matchups from the batter's point of view, best first: runs per
+// dismissal with a batter never dismissed ahead, then strike rate
+const batterAdvantage = (a, b) =>
+    (b.average ?? Infinity) - (a.average ?? Infinity) || b.strikeRate - a.strikeRate;
+
 /**
  * @swagger
  * /api/stats/player/{id}:
@@ -34,17 +175,31 @@ router.get('/player/:id', async (req, res) => {
         }
 
         // Get all balls for this player
-        const battingBalls = await Ball.find({ batsman: req.params.id });
-        const bowlingBalls = await Ball.find({ bowler: req.params.id });
+        const battingBalls = await Ball.find({ batsman: req.params.id, isSuperOver: { $ne: true } });
+        const bowlingBalls = await Ball.find({ bowler: req.params.id, isSuperOver: { $ne: true } });
+        const ballDismissals = await Ball.countDocuments({
+            isWicket: true,
+            isSuperOver: { $ne: true },
+            $or: [
+                { dismissedPlayer: req.params.id },
+                { dismissedPlayer: null, batsman: req.params.id }
+            ]
+        });
+        // Retired out and timed out between deliveries
+        const eventDismissals = await MatchEvent.countDocuments({
+            player: req.params.id,
+            type: { $in: EVENT_WICKET_TYPES }
+        });
+        const dismissals = ballDismissals + eventDismissals;
 
         // Calculate batting stats
         const battingStats = {
             matches: [...new Set(battingBalls.map(b => b.match.toString()))].length,
-            runs: battingBalls.filter(b => !b.isBye && !b.isLegBye).reduce((sum, b) => sum + b.runs, 0),
-            balls: battingBalls.filter(b => !b.isWide && !b.isNoBall).length,
-            fours: battingBalls.filter(b => b.runs === 4).length,
-            sixes: battingBalls.filter(b => b.runs === 6).length,
-            dismissals: battingBalls.filter(b => b.isWicket).length,
+            runs: battingBalls.reduce((sum, b) => sum + b.runs, 0),
+            balls: battingBalls.filter(isBallFaced).length,
+            fours: battingBalls.filter(b => isBoundaryHit(b, 4)).length,
+            sixes: battingBalls.filter(b => isBoundaryHit(b, 6)).length,
+            dismissals,
             highestScore: 0,
             strikeRate: 0,
             average: 0
@@ -61,17 +216,23 @@ router.get('/player/:id', async (req, res) => {
         // Calculate bowling stats
         const bowlingStats = {
             matches: [...new Set(bowlingBalls.map(b => b.match.toString()))].length,
-            wickets: bowlingBalls.filter(b => b.isWicket).length,
-            runs: bowlingBalls.reduce((sum, b) => sum + b.runs, 0),
-            balls: bowlingBalls.filter(b => !b.isWide && !b.isNoBall).length,
+            wickets: bowlingBalls.filter(isBowlerWicket).length,
+            runs: bowlingBalls.reduce((sum, b) => sum + bowlerRuns(b), 0),
+            balls: bowlingBalls.filter(isLegalDelivery).length,
             economy: 0,
             average: 0,
             bestBowling: { wickets: 0, runs: 0 }
         };
 
-        // Calculate economy and average
+        // Calculate economy and average, counting overs in each match's own over length
         if (bowlingStats.balls > 0) {
-            bowlingStats.economy = (bowlingStats.runs / (bowlingStats.balls / 6)).toFixed(2);
+            const bowlingMatches = await Match.find({ _id: { $in: [...new Set(bowlingBalls.map(b => b.match.toString()))] } })
+                .select('format');
+            const overs = bowlingMatches.reduce((sum, match) => {
+                const balls = bowlingBalls.filter(b => b.match.toString() === match._id.toString() && isLegalDelivery(b)).length;
+                return sum + balls / ballsPerOver(match);
+            }, 0);
+            bowlingStats.economy = (bowlingStats.runs / overs).toFixed(2);
         }
         if (bowlingStats.wickets > 0) {
             bowlingStats.average = (bowlingStats.runs / bowlingStats.wickets).toFixed(2);
@@ -94,6 +255,192 @@ router.get('/player/:id', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/stats/player/{id}/matchups:
+ *   get:
+ *     summary: Get a player's best and worst matchups
+ *     description: The player's figures against each bowler they have faced, or each batter they have bowled to. Matchups are ranked from the player's point of view by runs per dismissal, then strike rate, and only those with at least minBalls balls are listed. A matchup appears in best or worst, not both.
+ *     tags: [Statistics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [batting, bowling]
+ *         description: Matchups as a batter or as a bowler (default batting)
+ *       - in: query
+ *         name: matchType
+ *         schema:
+ *           type: string
+ *           enum: [T20, ODI, Test, T10, Custom]
+ *         description: Only count matches of this type
+ *       - in: query
+ *         name: minBalls
+ *         schema:
+ *           type: integer
+ *         description: Fewest balls for a matchup to be ranked (default 6)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of matchups in each list (default 5)
+ *     responses:
+ *       200:
+ *         description: Matchups retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Player not found
+ */
+router.get('/player/:id/matchups', [
+    query('role').optional().isIn(['batting', 'bowling']).withMessage('Role must be batting or bowling'),
+    query('matchType').optional().isIn(MATCH_TYPES).withMessage('Invalid match type')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const player = await Player.findById(req.params.id).populate('team', 'name shortName');
+
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found'
+            });
+        }
+
+        const role = req.query.role || 'batting';
+        const minBalls = parseInt(req.query.minBalls) || 6;
+        const limit = parseInt(req.query.limit) || 5;
+        const batting = role === 'batting';
+
+        const figures = await matchupFigures({ [batting ? 'batsman' : 'bowler']: player._id }, req.query.matchType);
+        const ranked = figures
+            .filter(pair => pair.balls >= minBalls)
+            .sort((a, b) => (batting ? batterAdvantage(a, b) : batterAdvantage(b, a)));
+
+        // A matchup is listed as best or worst, never both
+        const best = ranked.slice(0, limit);
+        const worst = ranked.slice(best.length).slice(-limit).reverse();
+        await Player.populate([...best, ...worst], { path: batting ? 'bowler' : 'batter', select: 'name team' });
+
+        res.json({
+            success: true,
+            data: {
+                player,
+                role,
+                matchups: figures.length,
+                best,
+                worst
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/stats/matchup/{batterId}/{bowlerId}:
+ *   get:
+ *     summary: Get a batter's record against a bowler
+ *     description: Balls faced, runs, dismissals credited to the bowler, dot balls, boundaries and strike rate from every delivery the bowler has bowled to the batter, leaving out super overs.
+ *     tags: [Statistics]
+ *     parameters:
+ *       - in: path
+ *         name: batterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bowlerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: matchType
+ *         schema:
+ *           type: string
+ *           enum: [T20, ODI, Test, T10, Custom]
+ *         description: Only count matches of this type
+ *     responses:
+ *       200:
+ *         description: Matchup retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Player not found
+ */
+router.get('/matchup/:batterId/:bowlerId', [
+    query('matchType').optional().isIn(MATCH_TYPES).withMessage('Invalid match type')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [batter, bowler] = await Promise.all([
+            Player.findById(req.params.batterId).select('name team').populate('team', 'name shortName'),
+            Player.findById(req.params.bowlerId).select('name team').populate('team', 'name shortName')
+        ]);
+
+        if (!batter || !bowler) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found'
+            });
+        }
+
+        const [matchup] = await matchupFigures({ batsman: batter._id, bowler: bowler._id }, req.query.matchType);
+
+        res.json({
+            success: true,
+            data: {
+                batter,
+                bowler,
+                matchup: matchup || {
+                    balls: 0,
+                    runs: 0,
+                    dismissals: 0,
+                    dots: 0,
+                    fours: 0,
+                    sixes: 0,
+                    matches: 0,
+                    strikeRate: 0,
+                    average: null
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/stats/team/{id}:
@@ -129,8 +476,9 @@ router.get('/team/:id', async (req, res) => {
 
         const stats = {
             matchesPlayed: matches.length,
-            matchesWon: matches.filter(m => m.result.winner?.toString() === req.params.id).length,
-            matchesLost: 0,
+            matchesWon: matches.filter(m => m.result.winner?._id.toString() === req.params.id).length,
+            matchesLost: matches.filter(m => m.result.winner && m.result.winner._id.toString() !== req.params.id).length,
+            matchesDrawn: matches.filter(m => m.result.resultType === 'draw').length,
             winPercentage: 0,
             totalRuns: 0,
             totalWickets: 0,
@@ -138,13 +486,14 @@ router.get('/team/:id', async (req, res) => {
             lowestScore: 999
         };
 
-        stats.matchesLost = stats.matchesPlayed - stats.matchesWon;
         stats.winPercentage = stats.matchesPlayed > 0 ?
             ((stats.matchesWon / stats.matchesPlayed) * 100).toFixed(2) : 0;
 
         // Calculate batting stats from innings
         matches.forEach(match => {
             match.innings.forEach(innings => {
+                if (innings.superOver) return;
+
                 if (innings.battingTeam.toString() === req.params.id) {
                     stats.totalRuns += innings.runs;
                     if (innings.runs > stats.highestScore) stats.highestScore = innings.runs;
@@ -176,6 +525,305 @@ router.get('/team/:id', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/stats/team/{id}/partnerships:
+ *   get:
+ *     summary: Get a team's highest partnership for each wicket
+ *     description: Records from completed matches, excluding super overs.
+ *     tags: [Statistics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Partnership records retrieved successfully
+ *       404:
+ *         description: Team not found
+ */
+router.get('/team/:id/partnerships', async (req, res) => {
+    try {
+        const team = await Team.findById(req.params.id);
+
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        const matches = await Match.find({
+            $or: [{ team1: req.params.id }, { team2: req.params.id }],
+            status: 'completed'
+        }).populate('team1 team2', 'name shortName');
+
+        const matchIds = matches.map(match => match._id);
+        const [balls, events] = await Promise.all([
+            Ball.find({ match: { $in: matchIds }, isSuperOver: { $ne: true } })
+                .sort({ innings: 1, sequence: 1, createdAt: 1 })
+                .populate('batsman nonStriker', 'name'),
+            MatchEvent.find({ match: { $in: matchIds } })
+                .sort({ innings: 1, deliveries: 1, createdAt: 1 })
+                .populate('player', 'name')
+        ]);
+
+        // Deliveries and events of each innings, keyed by match and innings
+        const byInnings = (entries) => {
+            const groups = new Map();
+            entries.forEach(entry => {
+                const key = `${entry.match}:${entry.innings}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(entry);
+            });
+            return groups;
+        };
+        const ballsByInnings = byInnings(balls);
+        const eventsByInnings = byInnings(events);
+
+        // Highest stand for each wicket across the team's innings
+        const records = {};
+        matches.forEach(match => {
+            const opponent = match.team1._id.toString() === req.params.id ? match.team2 : match.team1;
+
+            match.innings.forEach((innings, index) => {
+                if (innings.superOver || innings.battingTeam.toString() !== req.params.id) return;
+
+                const key = `${match._id}:${index + 1}`;
+                buildPartnerships(ballsByInnings.get(key) || [], eventsByInnings.get(key) || []).forEach(partnership => {
+                    const best = records[partnership.wicket];
+                    if (!best || partnership.runs > best.runs) {
+                        records[partnership.wicket] = {
+                            ...partnership,
+                            match: { _id: match._id, matchDate: match.matchDate, opponent }
+                        };
+                    }
+                });
+            });
+        });
+
+        res.json({
+            success: true,
+            data: {
+                team,
+                partnerships: Object.values(records).sort((a, b) => a.wicket - b.wicket)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/stats/team/{id}/head-to-head/{opponentId}:
+ *   get:
+ *     summary: Get the head-to-head record of two teams
+ *     description: From their completed and abandoned matches against each other, the wins for each side, ties, draws and no results, the highest and lowest totals, the biggest wins by an innings or by runs and by wickets, the most recent results, and the leading run scorers and wicket takers in the rivalry.
+ *     tags: [Statistics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: opponentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: matchType
+ *         schema:
+ *           type: string
+ *           enum: [T20, ODI, Test, T10, Custom]
+ *         description: Only count matches of this type
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count matches on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count matches on or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of results, totals and players in each list (default 5)
+ *     responses:
+ *       200:
+ *         description: Head-to-head record retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Team not found
+ */
+router.get('/team/:id/head-to-head/:opponentId', [
+    query('matchType').optional().isIn(MATCH_TYPES).withMessage('Invalid match type'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.params.id === req.params.opponentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Teams cannot be the same'
+            });
+        }
+
+        const [team, opponent] = await Promise.all([
+            Team.findById(req.params.id).select('name shortName logo'),
+            Team.findById(req.params.opponentId).select('name shortName logo')
+        ]);
+
+        if (!team || !opponent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        const limit = parseInt(req.query.limit) || 5;
+        const filter = {
+            $or: [
+                { team1: team._id, team2: opponent._id },
+                { team1: opponent._id, team2: team._id }
+            ],
+            status: { $in: ['completed', 'abandoned'] }
+        };
+        if (req.query.matchType) {
+            filter.matchType = req.query.matchType;
+        }
+        if (req.query.from || req.query.to) {
+            filter.matchDate = {};
+            if (req.query.from) filter.matchDate.$gte = new Date(req.query.from);
+            if (req.query.to) filter.matchDate.$lte = new Date(req.query.to);
+        }
+
+        const matches = await Match.find(filter)
+            .select('team1 team2 matchType overs format matchDate venue status innings result')
+            .populate('venue', 'name city');
+        const record = buildHeadToHead(matches, team._id, opponent._id, limit);
+        const performers = await topPerformers(matches.map(match => match._id), limit);
+
+        const totals = [...new Set([...record.highestTotals, ...record.lowestTotals])];
+        const results = [...record.biggestWinsByRuns, ...record.biggestWinsByWickets, ...record.recentResults];
+        await Team.populate([...totals, ...results, ...record.wins], [
+            { path: 'team opponent', select: 'name shortName' },
+            { path: 'winner', select: 'name shortName' }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                team,
+                opponent,
+                headToHead: record,
+                topBatters: performers.batters,
+                topBowlers: performers.bowlers
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/stats/venue/{id}:
+ *   get:
+ *     summary: Get the records of a venue
+ *     description: From the completed matches at the ground, the average first-innings score and how often the side batting first or chasing won, the highest and lowest team totals, and the leading run scorers and wicket takers. Matches without a result only count towards the number played. Lowest totals only include innings that were bowled out or used their overs.
+ *     tags: [Statistics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: matchType
+ *         schema:
+ *           type: string
+ *           enum: [T20, ODI, Test, T10, Custom]
+ *         description: Only count matches of this type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of totals and players in each list (default 5)
+ *     responses:
+ *       200:
+ *         description: Venue stats retrieved successfully
+ *       404:
+ *         description: Venue not found
+ */
+router.get('/venue/:id', async (req, res) => {
+    try {
+        const venue = await Venue.findById(req.params.id);
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const limit = parseInt(req.query.limit) || 5;
+        const query = { venue: venue._id, status: 'completed' };
+        if (req.query.matchType) {
+            query.matchType = req.query.matchType;
+        }
+
+        const matches = await Match.find(query).select('matchType overs format matchDate status innings result');
+        const records = buildVenueRecords(matches, limit);
+        const performers = await topPerformers(matches.map(match => match._id), limit);
+
+        const totals = [...new Set([...records.highestTotals, ...records.lowestTotals])];
+        await Team.populate(totals, { path: 'team opponent', select: 'name shortName' });
+
+        res.json({
+            success: true,
+            data: {
+                venue,
+                stats: records,
+                topBatters: performers.batters,
+                topBowlers: performers.bowlers
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/stats/leaderboard:
@@ -208,36 +856,14 @@ router.get('/leaderboard', async (req, res) => {
         switch (type) {
             case 'runs':
                 pipeline = [
-                    {
-                        $match: {
-                            isBye: false,
-                            isLegBye: false
-                        }
-                    },
                     {
                         $group: {
                             _id: '$batsman',
                             totalRuns: { $sum: '$runs' },
                             matches: { $addToSet: '$match' },
-                            balls: {
-                                $sum: {
-                                    $cond: [
-                                        { $and: [{ $eq: ['$isWide', false] }, { $eq: ['$isNoBall', false] }] },
-                                        1,
-                                        0
-                                    ]
-                                }
-                            },
-                            fours: {
-                                $sum: {
-                                    $cond: [{ $eq: ['$runs', 4] }, 1, 0]
-                                }
-                            },
-                            sixes: {
-                                $sum: {
-                                    $cond: [{ $eq: ['$runs', 6] }, 1, 0]
-                                }
-                            }
+                            balls: { $sum: ballFacedExpression },
+                            fours: { $sum: boundaryExpression(4) },
+                            sixes: { $sum: boundaryExpression(6) }
                         }
                     },
                     {
@@ -304,27 +930,46 @@ router.get('/leaderboard', async (req, res) => {
             case 'wickets':
                 pipeline = [
                     {
-                        $match: {
-                            isWicket: true
+                        $group: {
+                            _id: { bowler: '$bowler', match: '$match' },
+                            wickets: { $sum: bowlerWicketExpression },
+                            runs: { $sum: bowlerRunsExpression },
+                            balls: { $sum: legalBallExpression }
                         }
                     },
+                    // Overs are counted in each match's own over length
+                    {
+                        $lookup: {
+                            from: 'matches',
+                            localField: '_id.match',
+                            foreignField: '_id',
+                            as: 'matchInfo'
+                        }
+                    },
+                    {
+                        $unwind: '$matchInfo'
+                    },
                     {
                         $group: {
-                            _id: '$bowler',
-                            totalWickets: { $sum: 1 },
-                            matches: { $addToSet: '$match' },
+                            _id: '$_id.bowler',
+                            totalWickets: { $sum: '$wickets' },
+                            matches: { $addToSet: '$_id.match' },
                             runs: { $sum: '$runs' },
-                            balls: {
+                            overs: {
                                 $sum: {
-                                    $cond: [
-                                        { $and: [{ $eq: ['$isWide', false] }, { $eq: ['$isNoBall', false] }] },
-                                        1,
-                                        0
+                                    $divide: [
+                                        '$balls',
+                                        { $ifNull: ['$matchInfo.format.ballsPerOver', DEFAULT_FORMAT.ballsPerOver] }
                                     ]
                                 }
                             }
                         }
                     },
+                    {
+                        $match: {
+                            totalWickets: { $gt: 0 }
+                        }
+                    },
                     {
                         $lookup: {
                             from: 'players',
@@ -352,8 +997,8 @@ router.get('/leaderboard', async (req, res) => {
                             matchesPlayed: { $size: '$matches' },
                             economy: {
                                 $cond: [
-                                    { $gt: ['$balls', 0] },
-                                    { $divide: ['$runs', { $divide: ['$balls', 6] }] },
+                                    { $gt: ['$overs', 0] },
+                                    { $divide: ['$runs', '$overs'] },
                                     0
                                 ]
                             },
@@ -399,7 +1044,11 @@ router.get('/leaderboard', async (req, res) => {
                 });
         }
 
-        const results = await Ball.aggregate(pipeline);
+        // Super overs do not count towards career figures
+        const results = await Ball.aggregate([
+            { $match: { isSuperOver: { $ne: true } } },
+            ...pipeline
+        ]);
 
         res.json({
             success: true,
@@ -417,4 +1066,35 @@ router.get('/leaderboard', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/stats/rebuild:
+ *   post:
+ *     summary: Rebuild career stats from the full match history
+ *     description: Recalculates every player's career figures and every team's matches played and won from all completed matches. They are otherwise kept up to date as matches are completed, corrected and deleted.
+ *     tags: [Statistics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Career stats rebuilt successfully
+ */
+router.post('/rebuild', [auth, authorize('admin')], async (req, res) => {
+    try {
+        const rebuilt = await rebuildCareerStats();
+
+        res.json({
+            success: true,
+            message: 'Career stats rebuilt successfully',
+            data: rebuilt
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,9 +3,14 @@ const { body, validationResult } = require('express-validator');
 const Team = require('../models/Team');
 const Player = require('../models/Player');
 const { auth, authorize } = require('../middleware/auth');
+const { findOrCreateVenue } = require('../utils/venues');
 
 const router = express.Router();
 
+// A home ground is given by venue ID, name or alias; an empty one clears it
+const homeGroundValidator = body('homeGround').optional({ values: 'falsy' }).isString()
+    .withMessage('Home ground must be a venue ID, name or alias');
+
 /**
  * @swagger
  * /api/teams:
@@ -36,6 +41,7 @@ router.get('/', async (req, res) => {
         const teams = await Team.find({ isActive: true })
             .populate('captain', 'name role')
             .populate('players', 'name role')
+            .populate('homeGround', 'name city')
             .skip(skip)
             .limit(limit)
             .sort({ createdAt: -1 });
@@ -89,6 +95,7 @@ router.get('/', async (req, res) => {
  *                 type: string
  *               homeGround:
  *                 type: string
+ *                 description: Venue ID, name or alias. A name that matches no venue creates one.
  *               coach:
  *                 type: string
  *     responses:
@@ -101,7 +108,8 @@ router.get('/', async (req, res) => {
  */
 router.post('/', [auth, authorize('admin', 'scorer')], [
     body('name').notEmpty().withMessage('Team name is required'),
-    body('shortName').isLength({ min: 3, max: 3 }).withMessage('Short name must be exactly 3 characters')
+    body('shortName').isLength({ min: 3, max: 3 }).withMessage('Short name must be exactly 3 characters'),
+    homeGroundValidator
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -127,11 +135,19 @@ router.post('/', [auth, authorize('admin', 'scorer')], [
             });
         }
 
+        const venue = homeGround ? await findOrCreateVenue(homeGround) : null;
+        if (homeGround && !venue) {
+            return res.status(400).json({
+                success: false,
+                message: 'Home ground not found'
+            });
+        }
+
         const team = new Team({
             name,
             shortName: shortName.toUpperCase(),
             logo,
-            homeGround,
+            homeGround: venue?._id,
             coach
         });
 
@@ -174,7 +190,8 @@ router.get('/:id', async (req, res) => {
     try {
         const team = await Team.findById(req.params.id)
             .populate('captain', 'name role jerseyNumber')
-            .populate('players', 'name role jerseyNumber battingStyle bowlingStyle');
+            .populate('players', 'name role jerseyNumber battingStyle bowlingStyle')
+            .populate('homeGround', 'name city capacity');
 
         if (!team) {
             return res.status(404).json({
@@ -222,13 +239,39 @@ router.get('/:id', async (req, res) => {
  *       404:
  *         description: Team not found
  */
-router.put('/:id', [auth, authorize('admin', 'scorer')], async (req, res) => {
+router.put('/:id', [auth, authorize('admin', 'scorer')], [
+    homeGroundValidator
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const updates = { ...req.body };
+        if (req.body.homeGround) {
+            const venue = await findOrCreateVenue(req.body.homeGround);
+            if (!venue) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Home ground not found'
+                });
+            }
+            updates.homeGround = venue._id;
+        } else if (req.body.homeGround !== undefined) {
+            delete updates.homeGround;
+            updates.$unset = { homeGround: 1 };
+        }
+
         const team = await Team.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
-        ).populate('captain players');
+        ).populate('captain players homeGround');
 
         if (!team) {
             return res.status(404).json({
@@ -0,0 +1,785 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Tournament = require('../models/Tournament');
+const Team = require('../models/Team');
+const Match = require('../models/Match');
+const { auth, authorize } = require('../middleware/auth');
+const { FORMAT_PRESETS, MATCH_TYPES, buildFormat, validateFormat } = require('../utils/formats');
+const { buildPointsTables } = require('../utils/pointsTable');
+const {
+    roundRobinFixtures,
+    knockoutFixtures,
+    scheduleFixtures,
+    buildFixtureMatches
+} = require('../utils/fixtures');
+const { resolveVenues } = require('../utils/venues');
+const { runInTransaction } = require('../utils/transaction');
+const { includesTeam, checkTournamentMatch } = require('../utils/tournaments');
+
+const router = express.Router();
+
+const SCHEDULES = ['round-robin', 'double-round-robin', 'knockout'];
+
+// The teams to schedule for each group of the stage, or for the stage as a
+// whole when it has no groups. Returns an error when fixtures of the requested
+// kind cannot be generated for the stage.
+const schedulePools = (tournament, { schedule, stage: stageName, group: groupName, teams }) => {
+    let pools = [{ group: undefined, teams: teams || tournament.teams }];
+
+    if (tournament.stages.length === 0) {
+        if (stageName) return { error: 'Tournament has no stages' };
+    } else {
+        const stage = tournament.stages.find(entry => entry.name === stageName);
+        if (!stage) {
+            return { error: 'Stage not found in the tournament' };
+        }
+        if ((stage.type === 'knockout') !== (schedule === 'knockout')) {
+            return { error: `${stage.name} is a ${stage.type} stage` };
+        }
+
+        if (groupName) {
+            const group = stage.groups.find(entry => entry.name === groupName);
+            if (!group) {
+                return { error: `Group not found in ${stage.name}` };
+            }
+            if (teams && !teams.every(team => includesTeam(group.teams, team))) {
+                return { error: `Every team must be in ${group.name}` };
+            }
+            pools = [{ group: group.name, teams: teams || group.teams }];
+        } else if (stage.groups.length > 0) {
+            if (teams) {
+                return { error: 'Name the group the teams are scheduled in' };
+            }
+            pools = stage.groups.map(group => ({ group: group.name, teams: group.teams }));
+        }
+    }
+
+    if (pools.some(pool => new Set(pool.teams.map(String)).size !== pool.teams.length)) {
+        return { error: 'Teams can only be listed once' };
+    }
+    if (pools.some(pool => pool.teams.length < 2)) {
+        return { error: 'At least two teams must be scheduled' };
+    }
+    if (!pools.every(pool => pool.teams.every(team => includesTeam(tournament.teams, team)))) {
+        return { error: 'Every team must take part in the tournament' };
+    }
+    return pools;
+};
+
+const tournamentValidators = [
+    body('type').optional().isIn(['tournament', 'series']).withMessage('Type must be tournament or series'),
+    body('matchType').optional().isIn(MATCH_TYPES).withMessage('Invalid match type'),
+    body('stages').optional().isArray().withMessage('Stages must be a list'),
+    body('stages.*.type').optional().isIn(['league', 'knockout']).withMessage('Stage type must be league or knockout'),
+    body('points.*').optional().isFloat({ min: 0 }).withMessage('Points must be zero or more').toFloat(),
+    body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+];
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   get:
+ *     summary: Get all tournaments and series
+ *     tags: [Tournaments]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of tournaments per page
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: string
+ *         description: Filter by participating team ID
+ *     responses:
+ *       200:
+ *         description: Tournaments retrieved successfully
+ */
+router.get('/', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const query = { isActive: true };
+        if (req.query.team) {
+            query.teams = req.query.team;
+        }
+
+        const tournaments = await Tournament.find(query)
+            .populate('teams', 'name shortName logo')
+            .skip(skip)
+            .limit(limit)
+            .sort({ startDate: -1, createdAt: -1 });
+
+        const total = await Tournament.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                tournaments,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   post:
+ *     summary: Create a tournament or series
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Tournament'
+ *     responses:
+ *       201:
+ *         description: Tournament created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [auth, authorize('admin', 'scorer')], [
+    body('name').notEmpty().withMessage('Tournament name is required'),
+    body('teams').isArray({ min: 2 }).withMessage('At least two teams must take part'),
+    ...tournamentValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, season, type, matchType, teams, stages, points, startDate, endDate } = req.body;
+
+        const uniqueTeams = [...new Set(teams.map(String))];
+        if (await Team.countDocuments({ _id: { $in: uniqueTeams } }) !== teams.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Teams must be listed once and exist'
+            });
+        }
+
+        const tournament = new Tournament({ name, season, type, matchType, teams, stages, points, startDate, endDate });
+        await tournament.save();
+        await tournament.populate('teams', 'name shortName logo');
+
+        res.status(201).json({
+            success: true,
+            message: 'Tournament created successfully',
+            data: { tournament }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{id}:
+ *   get:
+ *     summary: Get a tournament with its matches
+ *     tags: [Tournaments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tournament retrieved successfully
+ *       404:
+ *         description: Tournament not found
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const tournament = await Tournament.findById(req.params.id)
+            .populate('teams', 'name shortName logo')
+            .populate('stages.groups.teams', 'name shortName');
+
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        const matches = await Match.find({ tournament: tournament._id })
+            .select('team1 team2 matchType venue matchDate status stage group fixture result')
+            .populate('team1 team2', 'name shortName logo')
+            .populate('venue', 'name city')
+            .populate('result.winner', 'name shortName')
+            .sort({ matchDate: 1 });
+
+        res.json({
+            success: true,
+            data: { tournament, matches }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{id}:
+ *   put:
+ *     summary: Update a tournament
+ *     description: Teams cannot be removed while they have matches in the tournament. Stages and groups with matches cannot be renamed or removed, and the match type cannot change to one its matches are not played in.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Tournament'
+ *     responses:
+ *       200:
+ *         description: Tournament updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Tournament not found
+ */
+router.put('/:id', [auth, authorize('admin', 'scorer')], [
+    body('name').optional().notEmpty().withMessage('Tournament name cannot be empty'),
+    body('teams').optional().isArray({ min: 2 }).withMessage('At least two teams must take part'),
+    ...tournamentValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const tournament = await Tournament.findById(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        const { name, season, type, matchType, teams, stages, points, startDate, endDate } = req.body;
+
+        if (teams) {
+            const uniqueTeams = [...new Set(teams.map(String))];
+            if (await Team.countDocuments({ _id: { $in: uniqueTeams } }) !== teams.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Teams must be listed once and exist'
+                });
+            }
+
+            const removed = tournament.teams.filter(team => !includesTeam(teams, team));
+            if (removed.length > 0 && await Match.exists({
+                tournament: tournament._id,
+                $or: [{ team1: { $in: removed } }, { team2: { $in: removed } }]
+            })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Teams with matches in the tournament cannot be removed'
+                });
+            }
+        }
+
+        const updates = { name, season, type, matchType, teams, stages, startDate, endDate };
+        Object.keys(updates).forEach(field => {
+            if (updates[field] !== undefined) {
+                tournament[field] = updates[field];
+            }
+        });
+        if (points) {
+            tournament.set('points', points, { merge: true });
+        }
+
+        // Matches already in the tournament must keep their stage and group,
+        // or they would drop out of the points tables
+        if (stages || matchType || teams) {
+            const matches = await Match.find({ tournament: tournament._id })
+                .select('tournament team1 team2 matchType stage group');
+            for (const match of matches) {
+                const error = checkTournamentMatch(tournament, match, match.stage, match.group);
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `The tournament has matches that no longer fit it: ${error}`
+                    });
+                }
+            }
+        }
+
+        await tournament.save();
+        await tournament.populate('teams', 'name shortName logo');
+
+        res.json({
+            success: true,
+            message: 'Tournament updated successfully',
+            data: { tournament }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/matches:
+ *   post:
+ *     summary: Add a match to a tournament
+ *     description: Both teams must take part in the tournament and, for a group match, be in that group. The stage is required when the tournament has stages.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - match
+ *             properties:
+ *               match:
+ *                 type: string
+ *               stage:
+ *                 type: string
+ *               group:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match added to the tournament
+ *       400:
+ *         description: Match cannot be played in the tournament
+ *       404:
+ *         description: Tournament or match not found
+ */
+router.post('/:id/matches', [auth, authorize('admin', 'scorer')], [
+    body('match').notEmpty().withMessage('Match is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { stage, group } = req.body;
+
+        const [tournament, match] = await Promise.all([
+            Tournament.findById(req.params.id),
+            Match.findById(req.body.match)
+        ]);
+
+        if (!tournament || !match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament or match not found'
+            });
+        }
+
+        const error = checkTournamentMatch(tournament, match, stage, group);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        match.tournament = tournament._id;
+        match.stage = stage;
+        match.group = group;
+        await match.save();
+
+        res.json({
+            success: true,
+            message: 'Match added to the tournament',
+            data: { match }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/matches/{matchId}:
+ *   delete:
+ *     summary: Remove a match from a tournament
+ *     description: The match itself is kept as a standalone match.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match removed from the tournament
+ *       404:
+ *         description: Match not found in the tournament
+ */
+router.delete('/:id/matches/:matchId', [auth, authorize('admin', 'scorer')], async (req, res) => {
+    try {
+        const match = await Match.findOne({ _id: req.params.matchId, tournament: req.params.id });
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found in the tournament'
+            });
+        }
+
+        match.tournament = undefined;
+        match.stage = undefined;
+        match.group = undefined;
+        await match.save();
+
+        res.json({
+            success: true,
+            message: 'Match removed from the tournament'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/fixtures:
+ *   post:
+ *     summary: Generate the fixtures of a tournament stage
+ *     description: Creates scheduled matches for a round-robin (each pair of teams plays once, or twice with home and away reversed) or a knockout. A stage with groups gets fixtures for every group unless one is named. Knockout teams are listed in seed order; top seeds get byes when the number of teams is not a power of two, and later rounds are filled in with the winners as matches complete. Each match is given the earliest day from the start date on which both teams have had their rest days, a venue is free and the day's match limit has not been reached.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - schedule
+ *               - startDate
+ *             properties:
+ *               schedule:
+ *                 type: string
+ *                 enum: [round-robin, double-round-robin, knockout]
+ *               stage:
+ *                 type: string
+ *                 description: Required when the tournament has stages
+ *               group:
+ *                 type: string
+ *               teams:
+ *                 type: array
+ *                 description: Teams to schedule, in seed order for a knockout. Defaults to the group's or the tournament's teams.
+ *                 items:
+ *                   type: string
+ *               venues:
+ *                 type: array
+ *                 description: Venue IDs, names or aliases
+ *                 items:
+ *                   type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               restDays:
+ *                 type: number
+ *                 description: Clear days a team has between matches (default 1)
+ *               matchesPerDay:
+ *                 type: number
+ *                 description: Most matches played on one day (default 1)
+ *               matchType:
+ *                 type: string
+ *                 enum: [T20, ODI, Test, T10, Custom]
+ *                 description: Defaults to the tournament's match type
+ *               overs:
+ *                 type: number
+ *               days:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Fixtures created successfully
+ *       400:
+ *         description: Fixtures cannot be generated
+ *       404:
+ *         description: Tournament not found
+ */
+router.post('/:id/fixtures', [auth, authorize('admin', 'scorer')], [
+    body('schedule').isIn(SCHEDULES).withMessage('Schedule must be round-robin, double-round-robin or knockout'),
+    body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+    body('teams').optional().isArray({ min: 2 }).withMessage('At least two teams must be scheduled'),
+    body('venues').optional().isArray().withMessage('Venues must be a list'),
+    body('venues.*').isString().trim().notEmpty().withMessage('Venue names cannot be empty'),
+    body('restDays').optional().isInt({ min: 0 }).withMessage('Rest days must be a whole number').toInt(),
+    body('matchesPerDay').optional().isInt({ min: 1 }).withMessage('Matches per day must be a positive whole number').toInt(),
+    body('matchType').optional().isIn(MATCH_TYPES).withMessage('Invalid match type'),
+    body('overs').optional().isInt({ min: 1 }).withMessage('Overs must be a positive whole number').toInt(),
+    body('days').optional().isInt({ min: 1 }).withMessage('Days must be a positive whole number').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const tournament = await Tournament.findById(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        const { schedule, startDate, restDays, matchesPerDay, days } = req.body;
+
+        const matchType = req.body.matchType || tournament.matchType;
+        if (!matchType || (tournament.matchType && matchType !== tournament.matchType)) {
+            return res.status(400).json({
+                success: false,
+                message: tournament.matchType ?
+                    `Only ${tournament.matchType} matches can be added to this tournament` :
+                    'Match type is required'
+            });
+        }
+
+        const overs = req.body.overs ?? FORMAT_PRESETS[matchType].overs;
+        const format = buildFormat(matchType);
+        const formatError = validateFormat(format, matchType === 'Test' ? null : overs);
+        if (formatError) {
+            return res.status(400).json({
+                success: false,
+                message: formatError
+            });
+        }
+
+        const pools = schedulePools(tournament, req.body);
+        if (pools.error) {
+            return res.status(400).json({
+                success: false,
+                message: pools.error
+            });
+        }
+
+        const { venues, missing } = await resolveVenues(req.body.venues || []);
+        if (missing) {
+            return res.status(400).json({
+                success: false,
+                message: `Venue not found: ${missing}`
+            });
+        }
+
+        const scheduled = await Match.exists({
+            tournament: tournament._id,
+            stage: req.body.stage,
+            group: { $in: pools.map(pool => pool.group) },
+            'fixture.round': { $exists: true }
+        });
+        if (scheduled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Fixtures have already been generated'
+            });
+        }
+
+        // Groups are scheduled side by side, a round at a time
+        const fixtures = pools
+            .flatMap(({ group, teams }) => (schedule === 'knockout' ?
+                knockoutFixtures(teams) :
+                roundRobinFixtures(teams, schedule === 'double-round-robin' ? 2 : 1))
+                .map(fixture => Object.assign(fixture, { group })))
+            .sort((a, b) => a.round - b.round);
+
+        scheduleFixtures(fixtures, { restDays, matchesPerDay, venues: venues.map(String) });
+        const matches = buildFixtureMatches(fixtures, {
+            startDate,
+            tournament: tournament._id,
+            stage: req.body.stage,
+            matchType,
+            overs,
+            format,
+            days
+        });
+
+        await runInTransaction(session => Match.insertMany(matches, { session }));
+        await Match.populate(matches, [
+            { path: 'team1 team2', select: 'name shortName logo' },
+            { path: 'venue', select: 'name city' }
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: `${matches.length} fixtures created successfully`,
+            data: { matches }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/points-table:
+ *   get:
+ *     summary: Get the points tables of a tournament
+ *     description: One table for each group of each league stage, kept up to date from the tournament's completed and abandoned matches. Teams are ranked by points, then net run rate, then wins. Net run rate counts a side bowled out as having faced its full quota of overs.
+ *     tags: [Tournaments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *         description: Only show the tables of this stage
+ *     responses:
+ *       200:
+ *         description: Points tables retrieved successfully
+ *       404:
+ *         description: Tournament not found
+ */
+router.get('/:id/points-table', async (req, res) => {
+    try {
+        const tournament = await Tournament.findById(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        const matches = await Match.find({
+            tournament: tournament._id,
+            status: { $in: ['completed', 'abandoned'] }
+        }).select('team1 team2 matchType overs format status stage group innings result');
+
+        const tables = buildPointsTables(tournament, matches)
+            .filter(entry => !req.query.stage || entry.stage === req.query.stage);
+        await Team.populate(tables.flatMap(entry => entry.table), { path: 'team', select: 'name shortName logo' });
+
+        res.json({
+            success: true,
+            data: { tables }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,414 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Venue = require('../models/Venue');
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+const { auth, authorize } = require('../middleware/auth');
+const { NAME_COLLATION, isVenueNameTaken, linkFreeTextVenues } = require('../utils/venues');
+const { runInTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+
+const venueValidators = [
+    body('capacity').optional().isInt({ min: 0 }).withMessage('Capacity must be a whole number').toInt(),
+    body('boundaries.straight').optional().isFloat({ min: 0 }).withMessage('Boundary dimensions must be zero or more').toFloat(),
+    body('boundaries.square').optional().isFloat({ min: 0 }).withMessage('Boundary dimensions must be zero or more').toFloat(),
+    body('aliases').optional().isArray().withMessage('Aliases must be a list'),
+    body('aliases.*').isString().trim().notEmpty().withMessage('Aliases cannot be empty')
+];
+
+/**
+ * @swagger
+ * /api/venues:
+ *   get:
+ *     summary: Get all venues
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of venues per page
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Filter by city
+ *     responses:
+ *       200:
+ *         description: Venues retrieved successfully
+ */
+router.get('/', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const query = { isActive: true };
+        if (req.query.city) {
+            query.city = req.query.city;
+        }
+
+        const venues = await Venue.find(query)
+            .collation(NAME_COLLATION)
+            .skip(skip)
+            .limit(limit)
+            .sort({ name: 1 });
+
+        const total = await Venue.countDocuments(query).collation(NAME_COLLATION);
+
+        res.json({
+            success: true,
+            data: {
+                venues,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues:
+ *   post:
+ *     summary: Create a venue
+ *     description: The name and aliases cannot be used by another venue, ignoring case.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       201:
+ *         description: Venue created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [auth, authorize('admin', 'scorer')], [
+    body('name').trim().notEmpty().withMessage('Venue name is required'),
+    ...venueValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, city, country, capacity, boundaries, aliases = [] } = req.body;
+
+        if (await isVenueNameTaken([name, ...aliases])) {
+            return res.status(400).json({
+                success: false,
+                message: 'A venue already goes by this name or alias'
+            });
+        }
+
+        const venue = new Venue({ name, city, country, capacity, boundaries, aliases });
+        await venue.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Venue created successfully',
+            data: { venue }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues/link:
+ *   post:
+ *     summary: Link free-text venues to venue records
+ *     description: Matches and teams recorded before venues were tracked name their ground in free text. Each name is matched to a venue by name or alias, or a venue is created for it, and replaced with a reference. This also runs when the server starts. Venues created this way can then be merged into the ground they duplicate.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Venues linked successfully
+ */
+router.post('/link', [auth, authorize('admin')], async (req, res) => {
+    try {
+        const linked = await linkFreeTextVenues();
+
+        res.json({
+            success: true,
+            message: 'Venues linked successfully',
+            data: linked
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   get:
+ *     summary: Get venue by ID
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Venue retrieved successfully
+ *       404:
+ *         description: Venue not found
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const venue = await Venue.findById(req.params.id);
+
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const homeTeams = await Team.find({ homeGround: venue._id, isActive: true }).select('name shortName logo');
+
+        res.json({
+            success: true,
+            data: { venue, homeTeams }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   put:
+ *     summary: Update a venue
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       200:
+ *         description: Venue updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Venue not found
+ */
+router.put('/:id', [auth, authorize('admin', 'scorer')], [
+    body('name').optional().trim().notEmpty().withMessage('Venue name cannot be empty'),
+    ...venueValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const venue = await Venue.findById(req.params.id);
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        const { name, city, country, capacity, boundaries, aliases } = req.body;
+        const updates = { name, city, country, capacity, aliases };
+        Object.keys(updates).forEach(field => {
+            if (updates[field] !== undefined) {
+                venue[field] = updates[field];
+            }
+        });
+        if (boundaries) {
+            venue.set('boundaries', boundaries, { merge: true });
+        }
+
+        if (await isVenueNameTaken([venue.name, ...venue.aliases], venue._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A venue already goes by this name or alias'
+            });
+        }
+
+        await venue.save();
+
+        res.json({
+            success: true,
+            message: 'Venue updated successfully',
+            data: { venue }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/venues/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate venue into this one
+ *     description: Matches and teams at the duplicate move to this venue, its name and aliases become aliases of this venue, and the duplicate is deleted.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - venue
+ *             properties:
+ *               venue:
+ *                 type: string
+ *                 description: ID of the duplicate venue
+ *     responses:
+ *       200:
+ *         description: Venues merged successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Venue not found
+ */
+router.post('/:id/merge', [auth, authorize('admin')], [
+    body('venue').notEmpty().withMessage('Venue to merge is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [venue, duplicate] = await Promise.all([
+            Venue.findById(req.params.id),
+            Venue.findById(req.body.venue)
+        ]);
+
+        if (!venue || !duplicate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Venue not found'
+            });
+        }
+
+        if (venue._id.equals(duplicate._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A venue cannot be merged into itself'
+            });
+        }
+
+        const known = new Set([venue.name, ...venue.aliases].map(name => name.toLowerCase()));
+        [duplicate.name, ...duplicate.aliases].forEach(name => {
+            if (!known.has(name.toLowerCase())) {
+                known.add(name.toLowerCase());
+                venue.aliases.push(name);
+            }
+        });
+
+        await runInTransaction(async (session) => {
+            await Match.updateMany({ venue: duplicate._id }, { venue: venue._id }, { session });
+            await Team.updateMany({ homeGround: duplicate._id }, { homeGround: venue._id }, { session });
+            await duplicate.deleteOne({ session });
+            await venue.save({ session });
+        });
+
+        res.json({
+            success: true,
+            message: 'Venues merged successfully',
+            data: { venue }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+// Career figures kept on Player.stats and the Team match counters. They are
+// rebuilt from the completed matches of the players and teams concerned, so
+// completing, correcting and deleting a match all update them the same way.
+// Super overs do not count towards career figures.
+
+const Match = require('../models/Match');
+const Ball = require('../models/Ball');
+const Player = require('../models/Player');
+const Team = require('../models/Team');
+const MatchEvent = require('../models/MatchEvent');
+const { isBowlerWicket, bowlerRuns, moveLegacyExtras, sameId } = require('./scoring');
+const { runInTransaction } = require('./transaction');
+
+const FIELDING_WICKETS = { caught: 'catches', stumped: 'stumpings' };
+
+const emptyStats = () => ({
+    matches: 0,
+    runs: 0,
+    wickets: 0,
+    catches: 0,
+    stumpings: 0,
+    highestScore: 0,
+    bestBowling: { wickets: 0, runs: 0 }
+});
+
+// Best figures take the most wickets, then the fewest runs
+const isBetterBowling = (figures, best) =>
+    figures.wickets > best.wickets || (figures.wickets === best.wickets && figures.runs < best.runs);
+
+const buildPlayerStats = (matches, balls, events) => {
+    const stats = new Map();
+    const statsFor = (player) => {
+        const id = player.toString();
+        if (!stats.has(id)) stats.set(id, emptyStats());
+        return stats.get(id);
+    };
+
+    // Everyone in a final XI played, as did a concussed player who was replaced
+    const appearances = new Set();
+    const appeared = (match, player) => {
+        if (player) appearances.add(`${player}-${match}`);
+    };
+    matches.forEach(match => (match.squads || []).forEach(squad =>
+        squad.playingXI.forEach(player => appeared(match._id, player))));
+    events.forEach(event => appeared(event.match, event.replacedPlayer));
+    balls.forEach(ball => [ball.batsman, ball.nonStriker, ball.bowler].forEach(player => appeared(ball.match, player)));
+    appearances.forEach(key => { statsFor(key.split('-')[0]).matches += 1; });
+
+    const innings = new Map();
+    const inningsFigures = (player, ball) => {
+        const key = `${player}-${ball.match}-${ball.innings}`;
+        if (!innings.has(key)) innings.set(key, { player, runs: 0, wickets: 0, conceded: 0, bowled: false });
+        return innings.get(key);
+    };
+
+    balls.forEach(ball => {
+        const batter = inningsFigures(ball.batsman, ball);
+        batter.runs += ball.runs;
+        statsFor(ball.batsman).runs += ball.runs;
+
+        const bowler = inningsFigures(ball.bowler, ball);
+        bowler.bowled = true;
+        bowler.conceded += bowlerRuns(ball);
+        if (isBowlerWicket(ball)) {
+            bowler.wickets += 1;
+            statsFor(ball.bowler).wickets += 1;
+        }
+
+        // A catch without a fielder was taken by the bowler
+        const fieldingStat = ball.isWicket && FIELDING_WICKETS[ball.wicketType];
+        const fielder = ball.fielder || (ball.wicketType === 'caught' ? ball.bowler : null);
+        if (fieldingStat && fielder) {
+            statsFor(fielder)[fieldingStat] += 1;
+        }
+    });
+
+    innings.forEach(({ player, runs, wickets, conceded, bowled }) => {
+        const playerStats = statsFor(player);
+        playerStats.highestScore = Math.max(playerStats.highestScore, runs);
+
+        const figures = { wickets, runs: conceded };
+        if (bowled && wickets > 0 && isBetterBowling(figures, playerStats.bestBowling)) {
+            playerStats.bestBowling = figures;
+        }
+    });
+
+    return stats;
+};
+
+// Rebuild the career figures of the given players and teams from their
+// completed matches within the session's transaction. Only the matches the
+// players appeared in or the teams played are loaded.
+const refreshCareerStats = async ({ players, teams }, session) => {
+    const playerIds = players.map(String);
+    const teamIds = teams.map(String);
+
+    // Lean balls skip the model's hook that reads deliveries stored in the
+    // old shape in the new one
+    const balls = (await Ball.find({
+        isSuperOver: { $ne: true },
+        $or: ['batsman', 'nonStriker', 'bowler', 'fielder'].map(path => ({ [path]: { $in: playerIds } }))
+    }).session(session).lean()).map(moveLegacyExtras);
+    const events = await MatchEvent.find({
+        type: 'concussion-replacement',
+        replacedPlayer: { $in: playerIds }
+    }).session(session).lean();
+
+    const completed = await Match.find({
+        status: 'completed',
+        $or: [
+            { team1: { $in: teamIds } },
+            { team2: { $in: teamIds } },
+            { 'squads.playingXI': { $in: playerIds } },
+            { _id: { $in: [...new Set([...balls, ...events].map(entry => entry.match.toString()))] } }
+        ]
+    })
+        .select('team1 team2 result squads')
+        .session(session)
+        .lean();
+
+    // Balls and events of matches still in progress do not count yet
+    const completedIds = new Set(completed.map(match => match._id.toString()));
+    const isCompleted = (entry) => completedIds.has(entry.match.toString());
+    const stats = buildPlayerStats(completed, balls.filter(isCompleted), events.filter(isCompleted));
+
+    await Player.bulkWrite(playerIds.map(player => ({
+        updateOne: {
+            filter: { _id: player },
+            update: { $set: { stats: stats.get(player) || emptyStats() } }
+        }
+    })), { session });
+
+    await Team.bulkWrite(teamIds.map(team => {
+        const played = completed.filter(match => sameId(match.team1, team) || sameId(match.team2, team));
+        return {
+            updateOne: {
+                filter: { _id: team },
+                update: {
+                    $set: {
+                        matchesPlayed: played.length,
+                        matchesWon: played.filter(match => sameId(match.result?.winner, team)).length
+                    }
+                }
+            }
+        };
+    }), { session });
+
+    return { players: playerIds.length, teams: teamIds.length };
+};
+
+// Players and teams whose career figures depend on the match
+const matchParticipants = async (match) => {
+    const [batsmen, nonStrikers, bowlers, fielders, replaced] = await Promise.all([
+        ...['batsman', 'nonStriker', 'bowler', 'fielder'].map(path => Ball.distinct(path, { match: match._id })),
+        MatchEvent.distinct('replacedPlayer', { match: match._id, type: 'concussion-replacement' })
+    ]);
+
+    const players = [
+        ...(match.squads || []).flatMap(squad => [...squad.playingXI, ...squad.substitutes]),
+        ...batsmen, ...nonStrikers, ...bowlers, ...fielders, ...replaced
+    ].filter(Boolean).map(String);
+
+    return {
+        players: [...new Set(players)],
+        teams: [match.team1, match.team2]
+    };
+};
+
+// Write a change to a match and bring the career figures of everyone in it up
+// to date in one transaction. `write` receives the session to write with and
+// its result is returned.
+const withCareerStats = async (match, write) => {
+    const participants = await matchParticipants(match);
+    return runInTransaction(async (session) => {
+        const result = await write(session);
+        await refreshCareerStats(participants, session);
+        return result;
+    });
+};
+
+// Rebuild every player's and team's career figures from the full history
+const rebuildCareerStats = async () => {
+    const [players, teams] = await Promise.all([Player.distinct('_id'), Team.distinct('_id')]);
+    return runInTransaction(session => refreshCareerStats({ players, teams }, session));
+};
+
+module.exports = {
+    withCareerStats,
+    rebuildCareerStats
+};
@@ -0,0 +1,193 @@
+// Ball-by-ball commentary generated from the ball log and match events, with
+// a summary at the end of each over. Balls and events are expected to have
+// their players populated with names.
+
+const {
+    EVENT_WICKET_TYPES,
+    isLegalDelivery,
+    isBoundaryHit,
+    bowlerRuns,
+    deliveryRuns,
+    isTestMatch,
+    ballsPerOver,
+    formatOvers,
+    inningsMaxOvers,
+    getSquad,
+    sameId
+} = require('./scoring');
+const { inningsTimeline, dismissalText } = require('./scorecard');
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const idOf = (player) => player?._id || player;
+
+// Runs scored off a delivery, e.g. "FOUR", "2 leg byes" or "no ball, 1 run"
+const describeRuns = (ball) => {
+    const parts = [];
+    const extraRuns = ball.extraRuns || 0;
+
+    if (ball.isWide) {
+        parts.push(extraRuns > 0 ? plural(1 + extraRuns, 'wide') : 'wide');
+    }
+    if (ball.isNoBall) {
+        parts.push('no ball');
+    }
+    if ((ball.isBye || ball.isLegBye) && extraRuns > 0) {
+        parts.push(plural(extraRuns, ball.isBye ? 'bye' : 'leg bye'));
+    }
+
+    if (isBoundaryHit(ball, 4)) {
+        parts.push('FOUR');
+    } else if (isBoundaryHit(ball, 6)) {
+        parts.push('SIX');
+    } else if (ball.runs > 0) {
+        parts.push(plural(ball.runs, 'run'));
+    } else if (parts.length === 0 && !ball.isWicket) {
+        parts.push('no run');
+    }
+
+    if (ball.penaltyRuns > 0) {
+        parts.push(`${plural(ball.penaltyRuns, 'penalty run')} to the ${ball.penaltyTeam} side`);
+    }
+    return parts;
+};
+
+// Commentary line for a delivery, e.g. "Jones to Smith, FOUR, driven through
+// cover", with any text entered by the scorer added at the end
+const describeBall = (match, ball) => {
+    const innings = match.innings[ball.innings - 1];
+    const wicket = ball.isWicket ?
+        `OUT! ${(ball.dismissedPlayer?.name ? ball.dismissedPlayer : ball.batsman).name} ${dismissalText(ball, getSquad(match, innings?.bowlingTeam))}` :
+        null;
+
+    const line = [`${ball.bowler.name} to ${ball.batsman.name}`, wicket, ...describeRuns(ball), ball.commentary]
+        .filter(Boolean)
+        .join(', ');
+    return ball.isFreeHit ? `Free hit: ${line}` : line;
+};
+
+// Summary of a completed over with the score at its end and, in a
+// limited-overs chase, what is still needed
+const describeOver = (match, innings, overBalls, score) => {
+    const perOver = ballsPerOver(match);
+    const runs = overBalls.reduce((sum, ball) =>
+        sum + deliveryRuns(ball) + (ball.penaltyTeam === 'batting' ? ball.penaltyRuns : 0), 0);
+    const wickets = overBalls.filter(ball => ball.isWicket).length;
+    const isMaiden = overBalls.every(ball => bowlerRuns(ball) === 0 && sameId(idOf(ball.bowler), idOf(overBalls[0].bowler)));
+
+    let text = `End of over ${overBalls[0].over + 1}: ${isMaiden ? 'maiden' : plural(runs, 'run')}`;
+    if (wickets > 0) {
+        text += `, ${plural(wickets, 'wicket')}`;
+    }
+    text += `. Score ${score.runs}/${score.wickets} after ${plural(formatOvers(score.balls, perOver), 'over')}`;
+
+    if (innings.target && !isTestMatch(match)) {
+        const needed = innings.target - score.runs;
+        const ballsLeft = inningsMaxOvers(match, innings) * perOver - score.balls;
+        if (needed > 0 && ballsLeft > 0) {
+            text += `, ${plural(needed, 'run')} needed from ${plural(ballsLeft, 'ball')}`;
+        }
+    }
+    return text;
+};
+
+const EVENT_TEXT = {
+    'retired-hurt': event => `${event.player.name} retired hurt`,
+    'retired-out': event => `OUT! ${event.player.name} retired out`,
+    'timed-out': event => `OUT! ${event.player.name} timed out`,
+    'batter-returns': event => `${event.player.name} returns to bat`,
+    substitution: event => `${event.player.name} comes on as a substitute for ${event.replacedPlayer.name}`,
+    'concussion-replacement': event => `${event.player.name} replaces ${event.replacedPlayer.name} as a concussion replacement`,
+    'penalty-runs': event => `${plural(event.runs, 'penalty run')} awarded to the ${event.penaltyTeam} side`,
+    'bowler-change': event => `${event.player.name} comes on to finish the over`,
+    drinks: () => 'Drinks break',
+    timeout: () => 'Timeout'
+};
+
+// Commentary entry for a non-delivery event during the given over
+const eventCommentary = (event, over) => ({
+    innings: event.innings,
+    over,
+    type: 'event',
+    event: event._id,
+    text: [EVENT_TEXT[event.type](event), event.reason, event.commentary].filter(Boolean).join(', '),
+    timestamp: event.createdAt
+});
+
+// Commentary entries for a delivery, followed by the over summary when it
+// completes the over. `overBalls` are the deliveries of the over so far and
+// `score` is the innings score after this one.
+const deliveryCommentary = (match, ball, overBalls, score) => {
+    const entries = [{
+        innings: ball.innings,
+        over: ball.over,
+        ball: ball.ball,
+        type: 'ball',
+        delivery: ball._id,
+        text: describeBall(match, ball),
+        timestamp: ball.createdAt
+    }];
+
+    if (overBalls.filter(isLegalDelivery).length === ballsPerOver(match)) {
+        entries.push({
+            innings: ball.innings,
+            over: ball.over,
+            type: 'over',
+            text: describeOver(match, match.innings[ball.innings - 1], overBalls, score),
+            timestamp: ball.createdAt
+        });
+    }
+    return entries;
+};
+
+// Full commentary of the match in the order it happened, as rebuilt after
+// a correction
+const buildCommentary = (match, balls, events) => match.innings.flatMap((innings, index) => {
+    const number = index + 1;
+    const perOver = ballsPerOver(match);
+    const score = { runs: 0, wickets: 0, balls: 0 };
+    let overBalls = [];
+
+    return inningsTimeline(
+        balls.filter(ball => ball.innings === number),
+        events.filter(event => event.innings === number)
+    ).flatMap(({ ball, event }) => {
+        if (event) {
+            if (event.type === 'penalty-runs' && event.penaltyTeam === 'batting') {
+                score.runs += event.runs;
+            }
+            if (EVENT_WICKET_TYPES.includes(event.type)) {
+                score.wickets += 1;
+            }
+            return [eventCommentary(event, Math.floor(score.balls / perOver))];
+        }
+
+        if (overBalls.length > 0 && overBalls[0].over !== ball.over) {
+            overBalls = [];
+        }
+        overBalls.push(ball);
+
+        score.runs += deliveryRuns(ball) + (ball.penaltyTeam === 'batting' ? ball.penaltyRuns : 0);
+        if (ball.isWicket) score.wickets += 1;
+        if (isLegalDelivery(ball)) score.balls += 1;
+
+        return deliveryCommentary(match, ball, overBalls, score);
+    });
+});
+
+// Number entries in the order they happened within each innings, after the
+// last sequence already stored for an innings
+const numberCommentary = (matchId, entries, lastSequence = {}) => {
+    const sequences = { ...lastSequence };
+    return entries.map(entry => {
+        sequences[entry.innings] = (sequences[entry.innings] || 0) + 1;
+        return { ...entry, match: matchId, sequence: sequences[entry.innings] };
+    });
+};
+
+module.exports = {
+    deliveryCommentary,
+    eventCommentary,
+    buildCommentary,
+    numberCommentary
+};
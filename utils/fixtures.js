@@ -0,0 +1,181 @@
+// Fixture generation for tournaments. Round-robin leagues are paired with the
+// circle method so every team plays once per round, and knockout brackets are
+// seeded so the top seeds meet as late as possible, with byes going to the
+// top seeds when the number of teams is not a power of two. Fixtures are then
+// given the earliest date on which both teams have had their rest days, a
+// free venue is available and the day's match limit has not been reached.
+
+const Match = require('../models/Match');
+const { sameId } = require('./scoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every pairing of the teams, round by round. A double round-robin plays the
+// same rounds again with home and away reversed.
+const roundRobinFixtures = (teams, legs = 1) => {
+    const slots = teams.length % 2 ? [...teams, null] : [...teams];
+    const rounds = [];
+
+    for (let round = 0; round < slots.length - 1; round++) {
+        const pairs = [];
+        for (let i = 0; i < slots.length / 2; i++) {
+            const home = slots[i];
+            const away = slots[slots.length - 1 - i];
+            if (home && away) {
+                // Alternate the fixed team between home and away
+                pairs.push(i === 0 && round % 2 ? [away, home] : [home, away]);
+            }
+        }
+        rounds.push(pairs);
+        slots.splice(1, 0, slots.pop());
+    }
+
+    const fixtures = [];
+    for (let leg = 0; leg < legs; leg++) {
+        rounds.forEach((pairs, index) => pairs.forEach(([home, away]) => fixtures.push({
+            round: leg * rounds.length + index + 1,
+            team1: leg % 2 ? away : home,
+            team2: leg % 2 ? home : away,
+            after: []
+        })));
+    }
+    return fixtures;
+};
+
+// Seeds in bracket order, so seed 1 and seed 2 can only meet in the final
+const seedOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const seeds = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, seeds - seed]);
+    }
+    return order;
+};
+
+// A knockout bracket for teams listed in seed order. Later-round fixtures
+// start without teams and list the fixtures their teams come from (`after`);
+// each of those records the fixture and side its winner goes through to.
+const knockoutFixtures = (teams) => {
+    let size = 1;
+    while (size < teams.length) size *= 2;
+
+    const fixtures = [];
+    let entrants = seedOrder(size).map(seed => ({ team: teams[seed - 1] || null }));
+
+    for (let round = 1; entrants.length > 1; round++) {
+        const next = [];
+        for (let i = 0; i < entrants.length; i += 2) {
+            const [first, second] = [entrants[i], entrants[i + 1]];
+
+            // A team with a bye goes straight through to the next round
+            if (first.team === null || second.team === null) {
+                next.push(first.team === null ? second : first);
+                continue;
+            }
+
+            const fixture = {
+                round,
+                team1: first.team,
+                team2: second.team,
+                after: [first.from, second.from].filter(Boolean)
+            };
+            if (first.from) first.from.next = { fixture, slot: 'team1' };
+            if (second.from) second.from.next = { fixture, slot: 'team2' };
+            fixtures.push(fixture);
+            next.push({ from: fixture });
+        }
+        entrants = next;
+    }
+    return fixtures;
+};
+
+// Give each fixture, in order, a day (counted from the start date) and a venue.
+// A team plays again only after `restDays` clear days, and a fixture waiting
+// on earlier results is played at least `restDays` clear days after them, so
+// those must come earlier in the list.
+const scheduleFixtures = (fixtures, { restDays = 1, matchesPerDay = 1, venues = [] } = {}) => {
+    const lastPlayed = new Map();
+    const days = new Map();
+
+    fixtures.forEach((fixture, index) => {
+        const teams = [fixture.team1, fixture.team2].filter(Boolean).map(String);
+        let day = Math.max(
+            0,
+            ...teams.map(team => (lastPlayed.has(team) ? lastPlayed.get(team) + restDays + 1 : 0)),
+            ...fixture.after.map(feeder => feeder.day + restDays + 1)
+        );
+
+        // Rotate through the venues so each gets a fair share of matches
+        const freeVenue = (used) => venues
+            .map((_, offset) => venues[(index + offset) % venues.length])
+            .find(venue => !used.includes(venue));
+
+        let booked = days.get(day) || { matches: 0, venues: [] };
+        while (booked.matches >= matchesPerDay || (venues.length > 0 && !freeVenue(booked.venues))) {
+            day += 1;
+            booked = days.get(day) || { matches: 0, venues: [] };
+        }
+
+        fixture.day = day;
+        fixture.venue = venues.length > 0 ? freeVenue(booked.venues) : undefined;
+        days.set(day, { matches: booked.matches + 1, venues: [...booked.venues, fixture.venue] });
+        teams.forEach(team => lastPlayed.set(team, day));
+    });
+    return fixtures;
+};
+
+// Match documents for the scheduled fixtures. The ids are assigned up front so
+// knockout fixtures can point at the fixture their winner goes through to.
+const buildFixtureMatches = (fixtures, { startDate, ...fields }) => {
+    const matches = new Map(fixtures.map((fixture, index) => [fixture, new Match({
+        ...fields,
+        team1: fixture.team1 || undefined,
+        team2: fixture.team2 || undefined,
+        group: fixture.group,
+        venue: fixture.venue,
+        matchDate: new Date(new Date(startDate).getTime() + fixture.day * DAY_MS),
+        fixture: { round: fixture.round, number: index + 1 }
+    })]));
+
+    matches.forEach((match, fixture) => {
+        if (fixture.next) {
+            match.fixture.nextMatch = matches.get(fixture.next.fixture)._id;
+            match.fixture.nextSlot = fixture.next.slot;
+        }
+    });
+    return [...matches.values()];
+};
+
+// Put the winner of a knockout fixture into the fixture they go through to.
+// A corrected result replaces the team that went through, as long as the next
+// fixture has not started; without a winner the place is left open.
+const advanceWinner = async (match, session) => {
+    if (!match.fixture?.nextMatch) {
+        return null;
+    }
+
+    const next = await Match.findById(match.fixture.nextMatch).session(session);
+    if (!next || next.status !== 'scheduled') {
+        return null;
+    }
+
+    const winner = match.status === 'completed' ? match.result?.winner : undefined;
+    const slot = match.fixture.nextSlot;
+    if (sameId(next[slot], winner) || (!next[slot] && !winner)) {
+        return next;
+    }
+
+    // A squad named by the team that no longer goes through is dropped
+    next.squads = next.squads.filter(squad => !sameId(squad.team, next[slot]));
+    next[slot] = winner;
+    await next.save({ session });
+    return next;
+};
+
+module.exports = {
+    roundRobinFixtures,
+    knockoutFixtures,
+    scheduleFixtures,
+    buildFixtureMatches,
+    advanceWinner
+};
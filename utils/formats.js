@@ -0,0 +1,67 @@
+// Playing conditions for each match type. `overs` is the length of each
+// innings and is ignored for Test matches; a null bowler quota means no limit.
+
+const DEFAULT_FORMAT = {
+    ballsPerOver: 6,
+    playersPerSide: 11,
+    maxWickets: 10,
+    maxOversPerBowler: null,
+    powerplayOvers: 0,
+    lastManStands: false
+};
+
+const FORMAT_PRESETS = {
+    T20: { overs: 20, maxOversPerBowler: 4, powerplayOvers: 6 },
+    ODI: { overs: 50, maxOversPerBowler: 10, powerplayOvers: 10 },
+    T10: { overs: 10, maxOversPerBowler: 2, powerplayOvers: 2 },
+    Test: { overs: 90 },
+    Custom: {}
+};
+
+const MATCH_TYPES = Object.keys(FORMAT_PRESETS);
+
+const FORMAT_FIELDS = Object.keys(DEFAULT_FORMAT);
+
+// Start from the preset for the match type and apply any custom settings.
+// Unless set explicitly, an innings ends when one batter is left, or when
+// the last batter is out under last-man-stands.
+const buildFormat = (matchType, custom = {}) => {
+    const { overs, ...preset } = FORMAT_PRESETS[matchType] || {};
+    const format = { ...DEFAULT_FORMAT, ...preset };
+
+    FORMAT_FIELDS.forEach(field => {
+        if (custom[field] !== undefined) {
+            format[field] = custom[field];
+        }
+    });
+
+    if (custom.maxWickets === undefined) {
+        format.maxWickets = format.playersPerSide - (format.lastManStands ? 0 : 1);
+    }
+
+    return format;
+};
+
+// Returns an error message when the settings cannot be played
+const validateFormat = (format, overs) => {
+    const wicketLimit = format.playersPerSide - (format.lastManStands ? 0 : 1);
+
+    if (format.maxWickets < 1 || format.maxWickets > wicketLimit) {
+        return `Max wickets must be between 1 and ${wicketLimit} with ${format.playersPerSide} players per side`;
+    }
+    if (format.maxOversPerBowler !== null && overs && format.maxOversPerBowler > overs) {
+        return 'Max overs per bowler cannot exceed the overs per innings';
+    }
+    if (overs && format.powerplayOvers > overs) {
+        return 'Powerplay overs cannot exceed the overs per innings';
+    }
+    return null;
+};
+
+module.exports = {
+    DEFAULT_FORMAT,
+    FORMAT_PRESETS,
+    MATCH_TYPES,
+    buildFormat,
+    validateFormat
+};
@@ -0,0 +1,85 @@
+// In-process publish/subscribe feed of live match updates. Each match keeps
+// its most recent updates so that reconnecting clients can resume from the
+// last one they received. Update IDs carry a per-process prefix, so an ID
+// from before a restart is recognised as stale rather than resumed from.
+// A feed is dropped once its match is no longer live and nobody follows it;
+// IDs count up across all matches so they are never reused by a later feed.
+
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const epoch = Date.now().toString(36);
+const feeds = new Map();
+let lastId = 0;
+
+// `start` is the ID after which every update of the match is buffered
+const createFeed = () => ({ start: lastId, lastId, buffer: [], live: true });
+
+const formatId = (id) => `${epoch}-${id}`;
+
+const release = (key) => {
+    const feed = feeds.get(key);
+    if (feed && !feed.live && emitter.listenerCount(key) === 0) {
+        feeds.delete(key);
+    }
+};
+
+// ID of the latest update published for the match
+const lastUpdateId = (matchId) => formatId((feeds.get(matchId.toString()) || createFeed()).lastId);
+
+// Publish an update to everyone following the match
+const publish = (matchId, type, data) => {
+    const key = matchId.toString();
+    if (!feeds.has(key)) {
+        feeds.set(key, createFeed());
+    }
+    const feed = feeds.get(key);
+    lastId += 1;
+    feed.lastId = lastId;
+    feed.live = data?.match?.status === 'live';
+
+    const update = { id: formatId(lastId), type, data };
+    feed.buffer.push(update);
+    if (feed.buffer.length > BUFFER_SIZE) {
+        feed.start = Number(feed.buffer.shift().id.split('-')[1]);
+    }
+
+    emitter.emit(key, update);
+    release(key);
+    return update;
+};
+
+// Updates published after `lastEventId`, or null when they can no longer be
+// replayed and the client needs a fresh snapshot instead
+const updatesSince = (matchId, lastEventId) => {
+    const [prefix, value] = String(lastEventId).split('-');
+    const id = Number(value);
+    const feed = feeds.get(matchId.toString()) || createFeed();
+
+    if (prefix !== epoch || !Number.isInteger(id) || id < feed.start || id > feed.lastId) {
+        return null;
+    }
+    return feed.buffer.filter(update => Number(update.id.split('-')[1]) > id);
+};
+
+// Call `listener` with every new update for the match; returns a function
+// that stops the subscription
+const subscribe = (matchId, listener) => {
+    const key = matchId.toString();
+    emitter.on(key, listener);
+    return () => {
+        emitter.off(key, listener);
+        release(key);
+    };
+};
+
+module.exports = {
+    lastUpdateId,
+    publish,
+    updatesSince,
+    subscribe
+};
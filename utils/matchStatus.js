@@ -0,0 +1,24 @@
+// Match lifecycle. Scoring moves a live match on to completed, and a tied one
+// back to live for a super over; every other change of status must be one of
+// these transitions.
+
+const STATUS_TRANSITIONS = {
+    scheduled: ['live', 'postponed', 'abandoned'],
+    postponed: ['scheduled', 'abandoned'],
+    live: ['completed', 'abandoned'],
+    completed: [],
+    abandoned: []
+};
+
+const MATCH_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Returns an error message when the match cannot move to the status
+const checkTransition = (match, to, action) =>
+    (canTransition(match.status, to) ? null : `Cannot ${action} a ${match.status} match`);
+
+module.exports = {
+    MATCH_STATUSES,
+    checkTransition
+};
@@ -0,0 +1,79 @@
+// Data migrations run when the server connects. Each one only touches
+// documents still in the old shape, so running them again changes nothing.
+
+const Ball = require('../models/Ball');
+const Match = require('../models/Match');
+const Commentary = require('../models/Commentary');
+const { numberCommentary } = require('./commentary');
+const { linkFreeTextVenues } = require('./venues');
+
+// Wides run, byes and leg byes used to be recorded in `runs`
+const migrateLegacyExtras = async () => {
+    const { modifiedCount } = await Ball.collection.updateMany(
+        {
+            $or: [{ isWide: true }, { isBye: true }, { isLegBye: true }],
+            runs: { $gt: 0 },
+            extraRuns: { $in: [0, null] }
+        },
+        [{ $set: { extraRuns: '$runs', runs: 0 } }]
+    );
+    return modifiedCount;
+};
+
+// Commentary used to be kept on the match document
+const migrateEmbeddedCommentary = async () => {
+    const matches = Match.collection.find(
+        { 'commentary.0': { $exists: true } },
+        { projection: { commentary: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const match of matches) {
+        // Entries left by an interrupted run are replaced
+        await Commentary.deleteMany({ match: match._id });
+        await Commentary.insertMany(numberCommentary(match._id, match.commentary));
+        await Match.collection.updateOne({ _id: match._id }, { $unset: { commentary: '' } });
+        migrated += 1;
+    }
+    return migrated;
+};
+
+// Results used to record their margin only as text, e.g. "5 wickets (12 balls
+// remaining)" or "an innings and 45 runs"
+const migrateResultMargins = async () => {
+    const matches = Match.collection.find(
+        {
+            'result.resultType': { $in: ['runs', 'wickets', 'innings'] },
+            'result.marginRuns': { $exists: false },
+            'result.marginWickets': { $exists: false }
+        },
+        { projection: { result: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const { _id, result } of matches) {
+        const value = Number(/(\d+) (run|wicket)/.exec(result.margin || '')?.[1] || 0);
+        const ballsRemaining = Number(/(\d+) balls? remaining/.exec(result.margin || '')?.[1] || 0);
+        const figures = result.resultType === 'wickets' ?
+            { 'result.marginWickets': value, 'result.ballsRemaining': ballsRemaining } :
+            { 'result.marginRuns': value };
+
+        await Match.collection.updateOne({ _id }, { $set: figures });
+        migrated += 1;
+    }
+    return migrated;
+};
+
+const runMigrations = async () => ({
+    legacyExtras: await migrateLegacyExtras(),
+    embeddedCommentary: await migrateEmbeddedCommentary(),
+    freeTextVenues: await linkFreeTextVenues(),
+    resultMargins: await migrateResultMargins()
+});
+
+module.exports = {
+    migrateLegacyExtras,
+    migrateEmbeddedCommentary,
+    migrateResultMargins,
+    runMigrations
+};
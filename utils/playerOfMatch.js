@@ -0,0 +1,120 @@
+// Player of the match suggestion. Every player's contribution in the ball log
+// is turned into an impact score: runs with a bonus for boundaries, wickets and
+// dot balls, and catches, stumpings and run outs. In limited-overs matches
+// scoring faster than a run a ball, or conceding slower, adds to the score.
+// Players on the winning side are preferred.
+
+const {
+    isLegalDelivery,
+    isBallFaced,
+    isBowlerWicket,
+    isBoundaryHit,
+    bowlerRuns,
+    isTestMatch,
+    sameId
+} = require('./scoring');
+
+const IMPACT = {
+    four: 1,
+    six: 2,
+    wicket: 25,
+    dot: 1,
+    catch: 10,
+    stumping: 10,
+    runOut: 10,
+    tempo: 0.5
+};
+
+const WINNING_SIDE_WEIGHT = 1.2;
+
+const FIELDING_WICKETS = { caught: 'catches', stumped: 'stumpings', 'run-out': 'runOuts' };
+
+const round = (value) => Number(value.toFixed(1));
+
+const impactScore = (entry, limitedOvers) => {
+    const { batting, bowling, fielding } = entry;
+
+    let score = batting.runs + batting.fours * IMPACT.four + batting.sixes * IMPACT.six +
+        bowling.wickets * IMPACT.wicket + bowling.dots * IMPACT.dot +
+        fielding.catches * IMPACT.catch + fielding.stumpings * IMPACT.stumping + fielding.runOuts * IMPACT.runOut;
+
+    if (limitedOvers) {
+        score += (batting.runs - batting.balls) * IMPACT.tempo + (bowling.balls - bowling.runs) * IMPACT.tempo;
+    }
+    return score;
+};
+
+// Players ranked by their impact on the match, highest first
+const rankPlayers = (match, balls) => {
+    const players = new Map();
+
+    const entry = (player, team) => {
+        const id = (player._id || player).toString();
+        if (!players.has(id)) {
+            players.set(id, {
+                player,
+                team,
+                impact: 0,
+                batting: { runs: 0, balls: 0, fours: 0, sixes: 0 },
+                bowling: { wickets: 0, balls: 0, runs: 0, dots: 0 },
+                fielding: { catches: 0, stumpings: 0, runOuts: 0 }
+            });
+        }
+        return players.get(id);
+    };
+
+    balls.forEach(ball => {
+        const innings = match.innings[ball.innings - 1];
+        if (!innings) return;
+
+        const batter = entry(ball.batsman, innings.battingTeam);
+        batter.batting.runs += ball.runs;
+        if (isBallFaced(ball)) batter.batting.balls += 1;
+        if (isBoundaryHit(ball, 4)) batter.batting.fours += 1;
+        if (isBoundaryHit(ball, 6)) batter.batting.sixes += 1;
+
+        const bowler = entry(ball.bowler, innings.bowlingTeam);
+        const conceded = bowlerRuns(ball);
+        bowler.bowling.runs += conceded;
+        if (isLegalDelivery(ball)) {
+            bowler.bowling.balls += 1;
+            if (conceded === 0) bowler.bowling.dots += 1;
+        }
+        if (isBowlerWicket(ball)) bowler.bowling.wickets += 1;
+
+        // A catch without a fielder was taken by the bowler
+        const fieldingStat = ball.isWicket && FIELDING_WICKETS[ball.wicketType];
+        const fielder = ball.fielder || (ball.wicketType === 'caught' ? ball.bowler : null);
+        if (fieldingStat && fielder) {
+            entry(fielder, innings.bowlingTeam).fielding[fieldingStat] += 1;
+        }
+    });
+
+    const limitedOvers = !isTestMatch(match);
+    const winner = match.result?.winner;
+
+    return [...players.values()]
+        .map(player => ({
+            ...player,
+            impact: round(impactScore(player, limitedOvers) * (sameId(player.team, winner) ? WINNING_SIDE_WEIGHT : 1))
+        }))
+        .sort((a, b) => b.impact - a.impact);
+};
+
+// Award player of the match to the top-ranked player when no official has,
+// and withdraw a suggested award once the match is no longer completed
+const suggestAward = (match, balls) => {
+    if (match.result.manOfTheMatch && !match.result.manOfTheMatchSuggested) {
+        return;
+    }
+
+    const [top] = match.status === 'completed' && match.result.resultType !== 'no-result' ?
+        rankPlayers(match, balls) : [];
+    match.result.manOfTheMatch = top ? top.player._id || top.player : undefined;
+    match.result.manOfTheMatchSuggested = Boolean(top);
+};
+
+module.exports = {
+    rankPlayers,
+    suggestAward
+};
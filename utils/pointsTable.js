@@ -0,0 +1,161 @@
+// Points tables for the league stages of a tournament, built from its
+// matches. Net run rate is the runs scored per over less the runs conceded per
+// over in limited-overs matches with a result; a side bowled out is counted
+// as having faced its full quota of overs. Super overs only decide the winner.
+
+const {
+    isTestMatch,
+    ballsPerOver,
+    maxWickets,
+    inningsMaxOvers,
+    sameId
+} = require('./scoring');
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const perOver = (runs, overs) => (overs > 0 ? runs / overs : 0);
+
+// Runs and overs of each side's innings in a match
+const inningsTotals = (match) => match.innings
+    .filter(innings => !innings.superOver)
+    .map(innings => {
+        const allOut = innings.wickets >= maxWickets(match);
+        const balls = allOut ? inningsMaxOvers(match, innings) * ballsPerOver(match) : innings.balls;
+        return {
+            battingTeam: innings.battingTeam,
+            bowlingTeam: innings.bowlingTeam,
+            runs: innings.runs,
+            overs: balls / ballsPerOver(match)
+        };
+    });
+
+const runRate = (totals, team) => {
+    const batting = totals.filter(innings => sameId(innings.battingTeam, team));
+    return perOver(
+        batting.reduce((sum, innings) => sum + innings.runs, 0),
+        batting.reduce((sum, innings) => sum + innings.overs, 0)
+    );
+};
+
+const isNoResult = (match) => match.status === 'abandoned' || match.result?.resultType === 'no-result';
+
+const isDecided = (match) => ['completed', 'abandoned'].includes(match.status);
+
+const buildTable = (points, teams, matches) => {
+    const rows = new Map(teams.map(team => [(team._id || team).toString(), {
+        team,
+        played: 0,
+        won: 0,
+        lost: 0,
+        tied: 0,
+        drawn: 0,
+        noResult: 0,
+        bonusPoints: 0,
+        points: 0,
+        runsFor: 0,
+        oversFaced: 0,
+        runsAgainst: 0,
+        oversBowled: 0,
+        netRunRate: 0
+    }]));
+    const rowFor = (team) => rows.get((team?._id || team)?.toString());
+
+    matches.filter(isDecided).forEach(match => {
+        const home = rowFor(match.team1);
+        const away = rowFor(match.team2);
+        const sides = [home, away].filter(Boolean);
+        sides.forEach(row => { row.played += 1; });
+
+        if (isNoResult(match)) {
+            sides.forEach(row => {
+                row.noResult += 1;
+                row.points += points.noResult;
+            });
+            return;
+        }
+
+        if (match.result.resultType === 'tie') {
+            sides.forEach(row => {
+                row.tied += 1;
+                row.points += points.tie;
+            });
+        } else if (match.result.resultType === 'draw') {
+            sides.forEach(row => {
+                row.drawn += 1;
+                row.points += points.draw;
+            });
+        } else {
+            const team1Won = sameId(match.result.winner, match.team1);
+            const winner = team1Won ? home : away;
+            const loser = team1Won ? away : home;
+            if (winner) {
+                winner.won += 1;
+                winner.points += points.win;
+            }
+            if (loser) {
+                loser.lost += 1;
+                loser.points += points.loss;
+            }
+
+            const totals = inningsTotals(match);
+            const loserRate = runRate(totals, team1Won ? match.team2 : match.team1);
+            if (winner && points.bonus > 0 && !isTestMatch(match) &&
+                runRate(totals, match.result.winner) >= points.bonusRunRate * loserRate) {
+                winner.bonusPoints += points.bonus;
+                winner.points += points.bonus;
+            }
+        }
+
+        if (isTestMatch(match)) {
+            return;
+        }
+
+        inningsTotals(match).forEach(innings => {
+            const batting = rowFor(innings.battingTeam);
+            const bowling = rowFor(innings.bowlingTeam);
+            if (batting) {
+                batting.runsFor += innings.runs;
+                batting.oversFaced += innings.overs;
+            }
+            if (bowling) {
+                bowling.runsAgainst += innings.runs;
+                bowling.oversBowled += innings.overs;
+            }
+        });
+    });
+
+    return [...rows.values()]
+        .map(row => ({
+            ...row,
+            oversFaced: round(row.oversFaced, 2),
+            oversBowled: round(row.oversBowled, 2),
+            netRunRate: round(perOver(row.runsFor, row.oversFaced) - perOver(row.runsAgainst, row.oversBowled), 3)
+        }))
+        .sort((a, b) => b.points - a.points || b.netRunRate - a.netRunRate || b.won - a.won);
+};
+
+// A table for every group of every league stage. A tournament without stages
+// has a single table of all its teams and matches.
+const buildPointsTables = (tournament, matches) => {
+    if (tournament.stages.length === 0) {
+        return [{ stage: null, group: null, table: buildTable(tournament.points, tournament.teams, matches) }];
+    }
+
+    return tournament.stages
+        .filter(stage => stage.type === 'league')
+        .flatMap(stage => {
+            const stageMatches = matches.filter(match => match.stage === stage.name);
+            if (stage.groups.length === 0) {
+                return [{ stage: stage.name, group: null, table: buildTable(tournament.points, tournament.teams, stageMatches) }];
+            }
+            return stage.groups.map(group => ({
+                stage: stage.name,
+                group: group.name,
+                table: buildTable(tournament.points, group.teams, stageMatches.filter(match => match.group === group.name))
+            }));
+        });
+};
+
+module.exports = {
+    buildPointsTables
+};
@@ -0,0 +1,131 @@
+// Over-by-over progression of each innings for Manhattan (runs per over) and
+// worm (cumulative score) charts, built from the ball log and match events.
+
+const {
+    EVENT_WICKET_TYPES,
+    isLegalDelivery,
+    deliveryRuns,
+    ballsPerOver,
+    isTestMatch,
+    inningsMaxOvers,
+    sameId
+} = require('./scoring');
+const { inningsTimeline } = require('./scorecard');
+
+const perOverRate = (runs, balls, perOver) => (balls > 0 ? Number((runs / (balls / perOver)).toFixed(2)) : null);
+
+const buildInningsProgression = (match, innings, number, balls, events) => {
+    const perOver = ballsPerOver(match);
+    const isChase = Boolean(innings.target) && !isTestMatch(match);
+    const ballsAvailable = isTestMatch(match) ? null : inningsMaxOvers(match, innings) * perOver;
+
+    const overs = [];
+    let score = 0;
+    let wickets = 0;
+    let legalBalls = 0;
+
+    const overAt = (index) => {
+        if (!overs[index]) {
+            overs[index] = {
+                over: index + 1,
+                runs: 0,
+                wickets: 0,
+                extras: 0,
+                penalties: 0,
+                balls: 0,
+                bowlers: [],
+                isComplete: false
+            };
+        }
+        return overs[index];
+    };
+
+    let current = 0;
+    inningsTimeline(balls, events).forEach(({ ball, event }) => {
+        if (event) {
+            const over = overAt(current);
+            if (event.type === 'penalty-runs' && event.penaltyTeam === 'batting') {
+                over.runs += event.runs;
+                over.penalties += event.runs;
+                score += event.runs;
+            }
+            if (EVENT_WICKET_TYPES.includes(event.type)) {
+                over.wickets += 1;
+                wickets += 1;
+            }
+            Object.assign(over, { score, wicketsDown: wickets });
+            return;
+        }
+
+        current = ball.over;
+        const over = overAt(current);
+        const penalties = ball.penaltyTeam === 'batting' ? ball.penaltyRuns : 0;
+        const runs = deliveryRuns(ball) + penalties;
+
+        over.runs += runs;
+        over.extras += deliveryRuns(ball) - ball.runs;
+        over.penalties += penalties;
+        score += runs;
+
+        if (ball.isWicket) {
+            over.wickets += 1;
+            wickets += 1;
+        }
+        if (isLegalDelivery(ball)) {
+            over.balls += 1;
+            legalBalls += 1;
+        }
+        if (!over.bowlers.some(bowler => sameId(bowler._id || bowler, ball.bowler._id || ball.bowler))) {
+            over.bowlers.push(ball.bowler);
+        }
+
+        over.isComplete = over.balls === perOver;
+        Object.assign(over, {
+            score,
+            wicketsDown: wickets,
+            runRate: perOverRate(score, legalBalls, perOver),
+            requiredRate: isChase && legalBalls < ballsAvailable ?
+                perOverRate(Math.max(innings.target - score, 0), ballsAvailable - legalBalls, perOver) : null
+        });
+    });
+
+    return {
+        number,
+        superOver: innings.superOver,
+        battingTeam: innings.battingTeam,
+        target: innings.target,
+        maxOvers: isTestMatch(match) ? null : inningsMaxOvers(match, innings),
+        overs: overs.filter(Boolean)
+    };
+};
+
+// Cumulative score of every innings after each over, side by side
+const buildWorm = (innings) => {
+    const longest = Math.max(0, ...innings.map(entry => entry.overs.length));
+    return Array.from({ length: longest }, (_, index) => ({
+        over: index + 1,
+        scores: innings.map(entry => {
+            const over = entry.overs.find(candidate => candidate.over === index + 1);
+            return over ? { innings: entry.number, score: over.score, wickets: over.wicketsDown } : null;
+        })
+    }));
+};
+
+const buildProgression = (match, balls, events) => {
+    const innings = match.innings.map((inningsData, index) => buildInningsProgression(
+        match,
+        inningsData,
+        index + 1,
+        balls.filter(ball => ball.innings === index + 1),
+        events.filter(event => event.innings === index + 1)
+    ));
+
+    return {
+        innings,
+        worm: buildWorm(innings.filter(entry => !entry.superOver))
+    };
+};
+
+module.exports = {
+    buildProgression
+};
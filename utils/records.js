@@ -0,0 +1,123 @@
+// Team records built from completed matches. Super overs only decide the
+// winner and are left out. Lowest totals only count innings that ran their
+// course, bowled out or with the overs used up, so a successful chase or a
+// declaration is not a low total. Wins are ranked by the runs, wickets and
+// balls remaining recorded with the result.
+
+const {
+    ballsPerOver,
+    maxWickets,
+    formatOvers,
+    inningsMaxOvers,
+    isTestMatch,
+    sameId
+} = require('./scoring');
+
+const round = (value) => Number(value.toFixed(1));
+
+const hasResult = (match) => match.status === 'completed' && match.result?.resultType !== 'no-result';
+
+// Every innings of the matches as a team total
+const teamTotals = (matches) => matches.flatMap(match => match.innings
+    .filter(innings => !innings.superOver)
+    .map((innings, index) => ({
+        match: match._id,
+        matchDate: match.matchDate,
+        matchType: match.matchType,
+        innings: index + 1,
+        team: innings.battingTeam,
+        opponent: innings.bowlingTeam,
+        runs: innings.runs,
+        wickets: innings.wickets,
+        overs: formatOvers(innings.balls, ballsPerOver(match)),
+        completed: innings.wickets >= maxWickets(match) ||
+            (!isTestMatch(match) && innings.balls >= inningsMaxOvers(match, innings) * ballsPerOver(match))
+    })));
+
+const highestTotals = (totals, limit) => [...totals]
+    .sort((a, b) => b.runs - a.runs || a.wickets - b.wickets)
+    .slice(0, limit);
+
+const lowestTotals = (totals, limit) => totals
+    .filter(total => total.completed)
+    .sort((a, b) => a.runs - b.runs)
+    .slice(0, limit);
+
+const resultSummary = (match) => ({
+    match: match._id,
+    matchDate: match.matchDate,
+    matchType: match.matchType,
+    venue: match.venue,
+    status: match.status,
+    winner: match.result?.winner,
+    resultType: match.result?.resultType,
+    margin: match.result?.margin
+});
+
+// Scores and results at a ground. Chasing wins are won by the side that did
+// not bat first.
+const buildVenueRecords = (matches, limit = 5) => {
+    const played = matches.filter(hasResult);
+    const firstInnings = played.map(match => match.innings[0]).filter(Boolean);
+    const decided = played.filter(match => match.result.winner && match.innings.length > 0);
+    const chasingWins = decided.filter(match => !sameId(match.result.winner, match.innings[0].battingTeam)).length;
+    const totals = teamTotals(played);
+
+    return {
+        matches: matches.length,
+        averageFirstInningsScore: firstInnings.length > 0 ?
+            round(firstInnings.reduce((sum, innings) => sum + innings.runs, 0) / firstInnings.length) : null,
+        battingFirstWins: decided.length - chasingWins,
+        chasingWins,
+        chasingWinPercentage: decided.length > 0 ? round(chasingWins / decided.length * 100) : null,
+        highestTotals: highestTotals(totals, limit),
+        lowestTotals: lowestTotals(totals, limit)
+    };
+};
+
+// The record of two teams against each other in their completed and
+// abandoned matches, most recent first
+const buildHeadToHead = (matches, team, opponent, limit = 5) => {
+    const recent = [...matches].sort((a, b) => b.matchDate - a.matchDate);
+    const played = recent.filter(hasResult);
+    const wins = (side) => played.filter(match => sameId(match.result.winner, side)).length;
+    const resultsOf = (...resultTypes) => played.filter(match => resultTypes.includes(match.result.resultType));
+    const isInningsWin = (match) => match.result.resultType === 'innings';
+    const totals = teamTotals(played);
+
+    return {
+        played: matches.length,
+        wins: [
+            { team, won: wins(team) },
+            { team: opponent, won: wins(opponent) }
+        ],
+        tied: resultsOf('tie').length,
+        drawn: resultsOf('draw').length,
+        noResult: matches.length - played.length,
+        highestTotals: highestTotals(totals, limit),
+        lowestTotals: lowestTotals(totals, limit),
+        // Innings victories rank ahead of wins by runs
+        biggestWinsByRuns: resultsOf('innings', 'runs')
+            .sort((a, b) => isInningsWin(b) - isInningsWin(a) || (b.result.marginRuns || 0) - (a.result.marginRuns || 0))
+            .slice(0, limit)
+            .map(match => ({ ...resultSummary(match), runs: match.result.marginRuns })),
+        biggestWinsByWickets: resultsOf('wickets')
+            .sort((a, b) => (b.result.marginWickets || 0) - (a.result.marginWickets || 0) ||
+                (b.result.ballsRemaining || 0) - (a.result.ballsRemaining || 0))
+            .slice(0, limit)
+            .map(match => ({
+                ...resultSummary(match),
+                wickets: match.result.marginWickets,
+                ballsRemaining: match.result.ballsRemaining || 0
+            })),
+        recentResults: recent.slice(0, limit).map(resultSummary)
+    };
+};
+
+module.exports = {
+    teamTotals,
+    highestTotals,
+    lowestTotals,
+    buildVenueRecords,
+    buildHeadToHead
+};
@@ -0,0 +1,337 @@
+// Builds the per-innings scorecard from the ball log and match events. Balls
+// and events are expected to have their players populated with names.
+
+const {
+    EVENT_WICKET_TYPES,
+    isLegalDelivery,
+    isBallFaced,
+    isBowlerWicket,
+    isBoundaryHit,
+    bowlerRuns,
+    deliveryRuns,
+    ballsPerOver,
+    formatOvers,
+    getSquad,
+    sameId,
+    isPowerplayBall
+} = require('./scoring');
+
+const rate = (runs, balls, perOver) => (balls > 0 ? Number((runs / (balls / perOver)).toFixed(2)) : 0);
+
+const minutesBetween = (from, to) => Math.max(Math.round((to - from) / 60000), 0);
+
+// Substitute fielders are shown as "sub (Name)"
+const fielderName = (fielder, squad) => {
+    if (!fielder) return null;
+    return squad && squad.substitutes.some(player => sameId(player, fielder._id)) ?
+        `sub (${fielder.name})` : fielder.name;
+};
+
+// Dismissal in scorecard form, e.g. "c Smith b Jones"
+const dismissalText = (ball, fieldingSquad) => {
+    const bowler = ball.bowler.name;
+    const fielder = fielderName(ball.fielder, fieldingSquad);
+
+    switch (ball.wicketType) {
+        case 'bowled':
+            return `b ${bowler}`;
+        case 'caught':
+            return !fielder || sameId(ball.fielder._id, ball.bowler._id) ? `c & b ${bowler}` : `c ${fielder} b ${bowler}`;
+        case 'lbw':
+            return `lbw b ${bowler}`;
+        case 'stumped':
+            return fielder ? `st ${fielder} b ${bowler}` : `st b ${bowler}`;
+        case 'hit-wicket':
+            return `hit wicket b ${bowler}`;
+        case 'run-out':
+            return fielder ? `run out (${fielder})` : 'run out';
+        case 'obstructing':
+            return 'obstructing the field';
+        case 'handled-ball':
+            return 'handled the ball';
+        case 'timed-out':
+            return 'timed out';
+        default:
+            return 'out';
+    }
+};
+
+const EVENT_DISMISSAL_TEXT = {
+    'retired-out': 'retired out',
+    'timed-out': 'timed out'
+};
+
+// Maidens are complete overs bowled by one bowler without a run conceded
+const countMaidens = (balls, perOver) => {
+    const overs = new Map();
+    balls.forEach(ball => {
+        overs.set(ball.over, [...(overs.get(ball.over) || []), ball]);
+    });
+
+    const maidens = {};
+    overs.forEach(overBalls => {
+        const bowler = overBalls[0].bowler._id;
+        const complete = overBalls.filter(isLegalDelivery).length === perOver;
+        const oneBowler = overBalls.every(ball => sameId(ball.bowler._id, bowler));
+        if (complete && oneBowler && overBalls.every(ball => bowlerRuns(ball) === 0)) {
+            maidens[bowler] = (maidens[bowler] || 0) + 1;
+        }
+    });
+    return maidens;
+};
+
+// Deliveries and events of one innings in the order they happened
+const inningsTimeline = (balls, events) => [
+    ...balls.map((ball, index) => ({ ball, position: ball.sequence ?? index + 1 })),
+    ...events.map(event => ({ event, position: event.deliveries + 0.5 }))
+].sort((a, b) => a.position - b.position);
+
+// Partnerships of one innings. A stand ends when either batter is out or
+// retires; the one still going at the end of the log is unbroken. Extras and
+// penalty runs count towards the stand but not towards either batter.
+const buildPartnerships = (balls, events) => {
+    const partnerships = [];
+    let current = null;
+    let wickets = 0;
+
+    const end = () => {
+        if (current) {
+            current.unbroken = false;
+            current = null;
+        }
+    };
+
+    const involves = (player) => current && current.batters.some(entry => sameId(entry.player._id, player._id));
+
+    inningsTimeline(balls, events).forEach(({ ball, event }) => {
+        if (event) {
+            if (event.type === 'penalty-runs' && event.penaltyTeam === 'batting' && current) {
+                current.runs += event.runs;
+            }
+            if (['retired-hurt', 'retired-out', 'timed-out'].includes(event.type) && involves(event.player)) {
+                end();
+            }
+            if (EVENT_WICKET_TYPES.includes(event.type)) {
+                wickets += 1;
+            }
+            return;
+        }
+
+        const pair = [ball.batsman, ball.nonStriker].filter(Boolean);
+        if (!current || current.batters.length !== pair.length || !pair.every(involves)) {
+            end();
+            current = {
+                wicket: wickets + 1,
+                batters: pair.map(player => ({ player, runs: 0, balls: 0 })),
+                runs: 0,
+                balls: 0,
+                unbroken: true
+            };
+            partnerships.push(current);
+        }
+
+        const striker = current.batters.find(entry => sameId(entry.player._id, ball.batsman._id));
+        striker.runs += ball.runs;
+        if (isBallFaced(ball)) {
+            striker.balls += 1;
+            current.balls += 1;
+        }
+        current.runs += deliveryRuns(ball) + (ball.penaltyTeam === 'batting' ? ball.penaltyRuns : 0);
+
+        if (ball.isWicket) {
+            wickets += 1;
+            end();
+        }
+    });
+
+    return partnerships;
+};
+
+const buildInnings = (match, innings, number, balls, events, now) => {
+    const perOver = ballsPerOver(match);
+    const battingSquad = getSquad(match, innings.battingTeam);
+    const fieldingSquad = getSquad(match, innings.bowlingTeam);
+
+    const batting = new Map();
+    const bowling = new Map();
+    const fallOfWickets = [];
+    let score = 0;
+    let wickets = 0;
+    let legalBalls = 0;
+
+    const batter = (player, at) => {
+        if (!batting.has(player._id.toString())) {
+            batting.set(player._id.toString(), {
+                player,
+                position: batting.size + 1,
+                dismissal: 'not out',
+                isOut: false,
+                runs: 0,
+                balls: 0,
+                fours: 0,
+                sixes: 0,
+                strikeRate: 0,
+                startedAt: at,
+                endedAt: null
+            });
+        }
+        return batting.get(player._id.toString());
+    };
+
+    const bowler = (player) => {
+        if (!bowling.has(player._id.toString())) {
+            bowling.set(player._id.toString(), {
+                player,
+                overs: 0,
+                balls: 0,
+                maidens: 0,
+                runs: 0,
+                wickets: 0,
+                dots: 0,
+                wides: 0,
+                noBalls: 0,
+                economy: 0
+            });
+        }
+        return bowling.get(player._id.toString());
+    };
+
+    const fallOfWicket = (player, at) => {
+        wickets += 1;
+        fallOfWickets.push({
+            wicket: wickets,
+            score,
+            over: formatOvers(legalBalls, perOver),
+            player
+        });
+        const entry = batter(player, at);
+        entry.isOut = true;
+        entry.endedAt = at;
+    };
+
+    const timeline = inningsTimeline(balls, events);
+
+    timeline.forEach(({ ball, event }) => {
+        if (event) {
+            if (event.type === 'penalty-runs' && event.penaltyTeam === 'batting') {
+                score += event.runs;
+            }
+            if (event.type === 'retired-hurt') {
+                Object.assign(batter(event.player, event.createdAt), { dismissal: 'retired hurt', endedAt: event.createdAt });
+            }
+            if (event.type === 'batter-returns') {
+                Object.assign(batter(event.player, event.createdAt), { dismissal: 'not out', endedAt: null });
+            }
+            if (EVENT_WICKET_TYPES.includes(event.type)) {
+                batter(event.player, event.createdAt).dismissal = EVENT_DISMISSAL_TEXT[event.type];
+                fallOfWicket(event.player, event.createdAt);
+            }
+            return;
+        }
+
+        const striker = batter(ball.batsman, ball.createdAt);
+        if (ball.nonStriker) {
+            batter(ball.nonStriker, ball.createdAt);
+        }
+
+        striker.runs += ball.runs;
+        if (isBallFaced(ball)) striker.balls += 1;
+        if (isBoundaryHit(ball, 4)) striker.fours += 1;
+        if (isBoundaryHit(ball, 6)) striker.sixes += 1;
+
+        const figures = bowler(ball.bowler);
+        const conceded = bowlerRuns(ball);
+        figures.runs += conceded;
+        if (ball.isWide) figures.wides += 1;
+        if (ball.isNoBall) figures.noBalls += 1;
+        if (isBowlerWicket(ball)) figures.wickets += 1;
+        if (isLegalDelivery(ball)) {
+            figures.balls += 1;
+            legalBalls += 1;
+            if (conceded === 0) figures.dots += 1;
+        }
+
+        score += deliveryRuns(ball) + (ball.penaltyTeam === 'batting' ? ball.penaltyRuns : 0);
+
+        if (ball.isWicket) {
+            const dismissed = ball.dismissedPlayer?._id ? ball.dismissedPlayer : ball.batsman;
+            batter(dismissed, ball.createdAt).dismissal = dismissalText(ball, fieldingSquad);
+            fallOfWicket(dismissed, ball.createdAt);
+        }
+    });
+
+    // Batters not out are at the crease until the innings ended, or now
+    const lastActivity = timeline.length ?
+        (timeline[timeline.length - 1].ball || timeline[timeline.length - 1].event).createdAt : now;
+    const inningsEnd = innings.isCompleted ? lastActivity : now;
+
+    const maidens = countMaidens(balls, perOver);
+
+    const battingCard = [...batting.values()].map(({ startedAt, endedAt, ...entry }) => ({
+        ...entry,
+        minutes: startedAt ? minutesBetween(startedAt, endedAt || inningsEnd) : 0,
+        strikeRate: entry.balls > 0 ? Number((entry.runs / entry.balls * 100).toFixed(2)) : 0
+    }));
+
+    const bowlingCard = [...bowling.values()].map(figures => ({
+        ...figures,
+        overs: formatOvers(figures.balls, perOver),
+        maidens: maidens[figures.player._id] || 0,
+        economy: rate(figures.runs, figures.balls, perOver)
+    }));
+
+    const didNotBat = battingSquad ?
+        battingSquad.playingXI.filter(player => !batting.has((player._id || player).toString())) : [];
+
+    const powerplayBalls = balls.filter(ball => isPowerplayBall(match, ball));
+
+    return {
+        number,
+        superOver: innings.superOver,
+        battingTeam: innings.battingTeam,
+        bowlingTeam: innings.bowlingTeam,
+        batting: battingCard,
+        didNotBat,
+        extras: {
+            ...innings.extras,
+            total: innings.extras.wides + innings.extras.noBalls + innings.extras.byes +
+                innings.extras.legByes + innings.extras.penalties
+        },
+        total: {
+            runs: innings.runs,
+            wickets: innings.wickets,
+            overs: innings.overs,
+            runRate: rate(innings.runs, innings.balls, perOver),
+            declared: innings.declared,
+            forfeited: innings.forfeited,
+            target: innings.target,
+            maxOvers: innings.maxOvers
+        },
+        fallOfWickets,
+        partnerships: buildPartnerships(balls, events),
+        bowling: bowlingCard,
+        powerplay: powerplayBalls.length ? {
+            overs: formatOvers(powerplayBalls.filter(isLegalDelivery).length, perOver),
+            runs: powerplayBalls.reduce((sum, ball) => sum + deliveryRuns(ball), 0),
+            wickets: powerplayBalls.filter(ball => ball.isWicket).length
+        } : null,
+        events
+    };
+};
+
+const buildScorecard = (match, balls, events, now = new Date()) =>
+    match.innings.map((innings, index) => buildInnings(
+        match,
+        innings,
+        index + 1,
+        balls.filter(ball => ball.innings === index + 1),
+        events.filter(event => event.innings === index + 1),
+        now
+    ));
+
+module.exports = {
+    inningsTimeline,
+    dismissalText,
+    buildPartnerships,
+    buildScorecard
+};
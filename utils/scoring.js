@@ -0,0 +1,930 @@
+// Scoring engine shared by live ball recording and by corrections, which
+// rebuild the innings from the ball log using exactly the same rules.
+
+const { resourcesRemaining, inningsResources, revisedTarget, parScore } = require('./dls');
+const { DEFAULT_FORMAT } = require('./formats');
+
+const SUPER_OVER_WICKETS = 2;
+
+// Wickets in an innings on the DLS resource table
+const DLS_WICKETS = 10;
+
+// Overs the side batting second must face for a rain-affected result
+const MINIMUM_OVERS_FOR_RESULT = { T10: 5, T20: 5, ODI: 20 };
+
+// Dismissals that are not credited to the bowler
+const NON_BOWLER_WICKET_TYPES = ['run-out', 'obstructing', 'handled-ball', 'timed-out'];
+
+// Non-delivery events that dismiss a batter, credited to no bowler
+const EVENT_WICKET_TYPES = ['retired-out', 'timed-out'];
+
+// Dismissals still possible from a free hit
+const FREE_HIT_WICKET_TYPES = ['run-out', 'obstructing', 'handled-ball'];
+
+const isLegalDelivery = (ball) => !ball.isWide && !ball.isNoBall;
+
+// A no-ball counts as a ball faced by the batsman, a wide does not
+const isBallFaced = (ball) => !ball.isWide;
+
+const isBowlerWicket = (ball) => ball.isWicket && !NON_BOWLER_WICKET_TYPES.includes(ball.wicketType);
+
+// Fours and sixes off the bat count as boundaries unless marked as run
+const isBoundaryHit = (ball, runs) => ball.runs === runs && ball.isBoundary !== false;
+
+// The one-run wide or no-ball penalty, plus any wides run
+const bowlerExtras = (ball) =>
+    (ball.isWide || ball.isNoBall ? 1 : 0) + (ball.isWide ? ball.extraRuns || 0 : 0);
+
+const bowlerRuns = (ball) => ball.runs + bowlerExtras(ball);
+
+// Runs added to the batting side's total, excluding penalty runs
+const deliveryRuns = (ball) =>
+    ball.runs + (ball.extraRuns || 0) + (ball.isWide || ball.isNoBall ? 1 : 0);
+
+// Older clients, and deliveries stored before extra runs were recorded
+// separately, send wides run, byes and leg byes in `runs`. Move them to
+// `extraRuns` so they are not credited to the batsman.
+const moveLegacyExtras = (ball) => {
+    if ((ball.isWide || ball.isBye || ball.isLegBye) && ball.runs > 0 && !ball.extraRuns) {
+        ball.extraRuns = ball.runs;
+        ball.runs = 0;
+    }
+    return ball;
+};
+
+const isTestMatch = (match) => match.matchType === 'Test';
+
+const totalInnings = (match) => (isTestMatch(match) ? 4 : 2);
+
+const ballsPerOver = (match) => match.format?.ballsPerOver || DEFAULT_FORMAT.ballsPerOver;
+
+const maxWickets = (match) => match.format?.maxWickets || DEFAULT_FORMAT.maxWickets;
+
+const formatOvers = (balls, perOver = DEFAULT_FORMAT.ballsPerOver) =>
+    Math.floor(balls / perOver) + (balls % perOver) / 10;
+
+// Wickets lost on the scale of the DLS table, for formats with fewer batters
+const dlsWickets = (match, wickets) => Math.min(Math.round(wickets * DLS_WICKETS / maxWickets(match)), DLS_WICKETS);
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const createInnings = (battingTeam, bowlingTeam) => ({
+    battingTeam,
+    bowlingTeam,
+    runs: 0,
+    wickets: 0,
+    overs: 0,
+    balls: 0,
+    extras: { wides: 0, noBalls: 0, byes: 0, legByes: 0, penalties: 0 },
+    fieldingPenalties: 0,
+    bowlers: [],
+    retiredHurt: [],
+    declared: false,
+    forfeited: false,
+    isCompleted: false
+});
+
+const getCurrentInnings = (match) => match.innings[match.currentInnings - 1];
+
+// Overs available to an innings after any reduction for stoppages
+const inningsMaxOvers = (match, innings) => innings.maxOvers ?? match.overs;
+
+const isRainAffected = (match) => match.interruptions.length > 0;
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const getSquad = (match, team) => (match.squads || []).find(squad => sameId(squad.team, team));
+
+const includesPlayer = (players, player) => players.some(id => sameId(id, player));
+
+const currentOver = (match, innings = getCurrentInnings(match)) => Math.floor(innings.balls / ballsPerOver(match));
+
+// Overs each bowler may bowl, cut in proportion when the innings is reduced
+const bowlerQuota = (match, innings = getCurrentInnings(match)) => {
+    if (innings.superOver) {
+        return 1;
+    }
+
+    const quota = match.format?.maxOversPerBowler;
+    if (!quota || isTestMatch(match)) {
+        return null;
+    }
+
+    const overs = inningsMaxOvers(match, innings);
+    return overs < match.overs ? Math.ceil(quota * overs / match.overs) : quota;
+};
+
+const findBowler = (innings, bowler) => (innings.bowlers || []).find(spell => sameId(spell.player, bowler));
+
+// Whether a delivery of the current over has been bowled
+const isOverInProgress = (match, innings = getCurrentInnings(match)) =>
+    (innings.bowlers || []).some(spell => spell.lastOver === currentOver(match, innings));
+
+// Overs bowled and left for every bowler used in the current innings
+const bowlerQuotas = (match) => {
+    const innings = getCurrentInnings(match);
+    const quota = bowlerQuota(match, innings);
+
+    return (innings?.bowlers || []).map(spell => ({
+        player: spell.player,
+        overs: formatOvers(spell.balls, ballsPerOver(match)),
+        oversCounted: spell.overs,
+        remaining: quota === null ? null : Math.max(quota - spell.overs, 0)
+    }));
+};
+
+// Every over a bowler bowls any part of counts in full against the quota
+const recordBowler = (innings, ball) => {
+    let spell = findBowler(innings, ball.bowler);
+    if (!spell) {
+        innings.bowlers.push({ player: ball.bowler, overs: 0, balls: 0 });
+        spell = innings.bowlers[innings.bowlers.length - 1];
+    }
+
+    if (spell.lastOver !== ball.over) {
+        spell.overs += 1;
+        spell.lastOver = ball.over;
+    }
+    if (isLegalDelivery(ball)) {
+        spell.balls += 1;
+    }
+};
+
+// Under last-man-stands the final batter bats on alone, always on strike
+const isLastManStanding = (match, innings = getCurrentInnings(match)) =>
+    Boolean(match.format?.lastManStands) && innings.wickets >= match.format.playersPerSide - 1;
+
+// Deliveries bowled within the powerplay overs of the innings
+const isPowerplayBall = (match, ball) => !ball.isSuperOver && ball.over < (match.format?.powerplayOvers || 0);
+
+// Total runs scored by a team across all of its innings in the match
+const aggregateRuns = (match, team) => match.innings
+    .filter(innings => sameId(innings.battingTeam, team))
+    .reduce((sum, innings) => sum + innings.runs, 0);
+
+// Lead the side batting first needs to enforce the follow-on (Law 14)
+const followOnMargin = (match) => {
+    const days = match.days || 5;
+    if (days >= 5) return 200;
+    if (days >= 3) return 150;
+    if (days === 2) return 100;
+    return 75;
+};
+
+const swapStrike = (match) => {
+    [match.striker, match.nonStriker] = [match.nonStriker, match.striker];
+};
+
+const clearCrease = (match) => {
+    match.striker = undefined;
+    match.nonStriker = undefined;
+    match.currentBowler = undefined;
+    match.freeHit = false;
+};
+
+const vacateCrease = (match, player) => {
+    if (sameId(match.striker, player)) {
+        match.striker = undefined;
+    } else if (sameId(match.nonStriker, player)) {
+        match.nonStriker = undefined;
+    }
+};
+
+const settleLastMan = (match) => {
+    if (isLastManStanding(match)) {
+        match.striker = match.striker || match.nonStriker;
+        match.nonStriker = undefined;
+    }
+};
+
+// Rotate strike on odd runs and at the end of the over, and leave an empty
+// slot for the dismissed batsman and for the bowler of the next over
+const updateCrease = (match, ball, overCompleted) => {
+    if ((ball.runs + (ball.extraRuns || 0)) % 2 === 1) {
+        swapStrike(match);
+    }
+
+    if (ball.isWicket) {
+        vacateCrease(match, ball.dismissedPlayer);
+    }
+
+    if (overCompleted) {
+        swapStrike(match);
+        match.currentBowler = undefined;
+    }
+
+    settleLastMan(match);
+};
+
+const isInningsComplete = (match, innings) => {
+    const targetReached = Boolean(innings.target) && innings.runs >= innings.target;
+
+    if (innings.superOver) {
+        return innings.balls >= ballsPerOver(match) || innings.wickets >= SUPER_OVER_WICKETS || targetReached;
+    }
+
+    const oversUsed = !isTestMatch(match) && innings.balls >= inningsMaxOvers(match, innings) * ballsPerOver(match);
+    return oversUsed || innings.wickets >= maxWickets(match) || targetReached;
+};
+
+// Clear the result of a match that is playing on, keeping any player of the
+// match award
+const reopenResult = (match) => {
+    match.result = {
+        manOfTheMatch: match.result?.manOfTheMatch,
+        manOfTheMatchSuggested: match.result?.manOfTheMatchSuggested
+    };
+};
+
+// `figures` are the runs or wickets the match was won by and, in a chase,
+// the balls remaining, kept as numbers alongside the margin text
+const completeMatch = (match, winner, resultType, margin, figures = {}) => {
+    match.status = 'completed';
+    match.result.winner = winner;
+    match.result.resultType = resultType;
+    match.result.margin = margin;
+    match.result.marginRuns = figures.runs;
+    match.result.marginWickets = figures.wickets;
+    match.result.ballsRemaining = figures.ballsRemaining;
+    clearCrease(match);
+};
+
+// Decide the match once the final innings is over. The chasing side's target
+// already accounts for every earlier innings, penalty runs and revisions.
+const determineResult = (match) => {
+    const lastInnings = getCurrentInnings(match);
+    const method = isRainAffected(match) ? ' (DLS method)' : '';
+
+    if (lastInnings.runs >= lastInnings.target) {
+        const wickets = maxWickets(match) - lastInnings.wickets;
+        const ballsRemaining = isTestMatch(match) ? 0 :
+            Math.max(inningsMaxOvers(match, lastInnings) * ballsPerOver(match) - lastInnings.balls, 0);
+        const margin = pluralize(wickets, 'wicket') +
+            (ballsRemaining > 0 ? ` (${pluralize(ballsRemaining, 'ball')} remaining)` : '');
+        completeMatch(match, lastInnings.battingTeam, 'wickets', margin + method, { wickets, ballsRemaining });
+    } else if (lastInnings.runs < lastInnings.target - 1) {
+        const runs = lastInnings.target - 1 - lastInnings.runs;
+        completeMatch(match, lastInnings.bowlingTeam, 'runs', pluralize(runs, 'run') + method, { runs });
+    } else {
+        completeMatch(match, undefined, 'tie', `Match tied${method}`);
+    }
+};
+
+const concludeDraw = (match) => {
+    completeMatch(match, undefined, 'draw', 'Match drawn');
+};
+
+// Play called off for good, e.g. for bad light or a waterlogged outfield
+const callOffMatch = (match) => {
+    completeMatch(match, undefined, 'no-result', 'No result');
+};
+
+// A match that will not be played or finished has no result
+const abandonMatch = (match) => {
+    completeMatch(match, undefined, 'no-result', 'Match abandoned');
+    match.status = 'abandoned';
+};
+
+const interruptionStoppage = (match, interruption) => ({
+    oversLeftBefore: interruption.oversBefore - interruption.balls / ballsPerOver(match),
+    oversLeftAfter: Math.max(interruption.revisedOvers - interruption.balls / ballsPerOver(match), 0),
+    wickets: dlsWickets(match, interruption.wickets)
+});
+
+const resourcesAvailable = (match, inningsNumber) => {
+    const stoppages = match.interruptions.filter(interruption => interruption.innings === inningsNumber);
+    const startOvers = stoppages.length ? stoppages[0].oversBefore :
+        inningsMaxOvers(match, match.innings[inningsNumber - 1]);
+    return inningsResources(startOvers, stoppages.map(interruption => interruptionStoppage(match, interruption)));
+};
+
+// Keep the chase's revised target and par score in step with the resources
+// both sides have had. The target only changes once play has been lost.
+const updateParScore = (match) => {
+    const chase = getCurrentInnings(match);
+    if (isTestMatch(match) || match.currentInnings !== 2 || chase.superOver) {
+        return;
+    }
+
+    const firstInnings = match.innings[0];
+    const r1 = resourcesAvailable(match, 1);
+    const r2 = resourcesAvailable(match, 2);
+    const oversLeft = inningsMaxOvers(match, chase) - chase.balls / ballsPerOver(match);
+
+    if (isRainAffected(match)) {
+        chase.target = revisedTarget(firstInnings.runs, r1, r2);
+    }
+    chase.parScore = parScore(firstInnings.runs, r1, r2 - resourcesRemaining(oversLeft, dlsWickets(match, chase.wickets)));
+};
+
+// End play for the day in a limited-overs match. Once the side batting second
+// has faced the minimum overs the match is decided on the par score.
+const terminatePlay = (match) => {
+    const innings = getCurrentInnings(match);
+    match.playTerminated = true;
+
+    if (innings.superOver) {
+        completeMatch(match, undefined, 'tie', 'Match tied');
+        return;
+    }
+
+    const minimumOvers = Math.min(MINIMUM_OVERS_FOR_RESULT[match.matchType] ?? match.overs, match.overs);
+    if (match.currentInnings !== 2 || innings.balls < minimumOvers * ballsPerOver(match)) {
+        completeMatch(match, undefined, 'no-result', 'No result');
+        return;
+    }
+
+    updateParScore(match);
+
+    const runs = Math.abs(innings.runs - innings.parScore);
+    if (innings.runs > innings.parScore) {
+        completeMatch(match, innings.battingTeam, 'runs', `${pluralize(runs, 'run')} (DLS method)`, { runs });
+    } else if (innings.runs < innings.parScore) {
+        completeMatch(match, innings.bowlingTeam, 'runs', `${pluralize(runs, 'run')} (DLS method)`, { runs });
+    } else {
+        completeMatch(match, undefined, 'tie', 'Match tied (DLS method)');
+    }
+};
+
+// Record a stoppage in the current innings and cut it to `revisedOvers`. The
+// ball count and wickets at the stoppage are taken from the match so that a
+// replay recalculates them after corrections.
+const applyInterruption = (match, interruption) => {
+    const innings = getCurrentInnings(match);
+
+    interruption.innings = match.currentInnings;
+    interruption.balls = innings.balls;
+    interruption.wickets = innings.wickets;
+    interruption.oversBefore = inningsMaxOvers(match, innings);
+
+    innings.maxOvers = interruption.revisedOvers;
+    match.interruptions.push(interruption);
+    updateParScore(match);
+
+    if (isInningsComplete(match, innings)) {
+        closeInnings(match);
+    }
+};
+
+// A super over is decided on its own runs; a tied one needs another
+const determineSuperOverResult = (match, superOver) => {
+    const [first, second] = match.innings.filter(innings => innings.superOver === superOver);
+
+    if (first.runs === second.runs) {
+        completeMatch(match, undefined, 'tie', 'Super over tied');
+        return;
+    }
+
+    const winner = second.runs > first.runs ? second.battingTeam : first.battingTeam;
+    const margin = superOver === 1 ? 'Match tied, won via super over' :
+        `Match tied, won via super over ${superOver}`;
+    completeMatch(match, winner, 'super-over', margin);
+};
+
+const closeSuperOverInnings = (match, innings) => {
+    const played = match.innings.filter(previous => previous.superOver === innings.superOver);
+    if (played.length === 2) {
+        determineSuperOverResult(match, innings.superOver);
+        return;
+    }
+
+    match.currentInnings += 1;
+    match.innings.push({
+        ...createInnings(innings.bowlingTeam, innings.battingTeam),
+        superOver: innings.superOver,
+        target: innings.runs + 1
+    });
+};
+
+// Reopen a tied limited-overs match for a super over, in which the side that
+// batted second bats first
+const startSuperOver = (match) => {
+    const lastInnings = match.innings[match.innings.length - 1];
+
+    match.status = 'live';
+    reopenResult(match);
+    clearCrease(match);
+
+    match.currentInnings = match.innings.length + 1;
+    match.innings.push({
+        ...createInnings(lastInnings.battingTeam, lastInnings.bowlingTeam),
+        superOver: (lastInnings.superOver || 0) + 1
+    });
+};
+
+// Close the current innings and either start the next one or finish the match
+const closeInnings = (match) => {
+    const innings = getCurrentInnings(match);
+    innings.isCompleted = true;
+    clearCrease(match);
+
+    if (innings.superOver) {
+        closeSuperOverInnings(match, innings);
+        return;
+    }
+
+    const nextInnings = match.currentInnings + 1;
+    if (nextInnings > totalInnings(match)) {
+        determineResult(match);
+        return;
+    }
+
+    // The side batting third may already trail on aggregate after batting twice
+    if (nextInnings === 4) {
+        const lead = aggregateRuns(match, innings.bowlingTeam) - aggregateRuns(match, innings.battingTeam);
+        if (lead > 0) {
+            completeMatch(match, innings.bowlingTeam, 'innings', `an innings and ${pluralize(lead, 'run')}`, { runs: lead });
+            return;
+        }
+    }
+
+    const followingOn = nextInnings === 3 && match.followOn;
+    const battingTeam = followingOn ? innings.battingTeam : innings.bowlingTeam;
+    const bowlingTeam = followingOn ? innings.bowlingTeam : innings.battingTeam;
+    const next = createInnings(battingTeam, bowlingTeam);
+
+    // Penalty runs awarded while fielding before the side has batted
+    if (!match.innings.some(previous => sameId(previous.battingTeam, battingTeam))) {
+        const carried = match.innings
+            .filter(previous => sameId(previous.bowlingTeam, battingTeam))
+            .reduce((sum, previous) => sum + previous.fieldingPenalties, 0);
+        next.runs = carried;
+        next.extras.penalties = carried;
+    }
+
+    if (nextInnings === totalInnings(match)) {
+        next.target = aggregateRuns(match, bowlingTeam) - aggregateRuns(match, battingTeam) + 1;
+    }
+
+    // A chase gets no more overs than the first innings was cut to
+    if (!isTestMatch(match) && innings.maxOvers !== undefined) {
+        next.maxOvers = innings.maxOvers;
+    }
+
+    match.currentInnings = nextInnings;
+    match.innings.push(next);
+    updateParScore(match);
+};
+
+const declareInnings = (match) => {
+    getCurrentInnings(match).declared = true;
+    closeInnings(match);
+};
+
+const forfeitInnings = (match) => {
+    getCurrentInnings(match).forfeited = true;
+    closeInnings(match);
+};
+
+// Penalty runs to the fielding side go to their most recent innings, or to
+// their next innings if they have not batted yet (Law 41.17)
+const awardPenaltyRuns = (match, innings, side, runs) => {
+    if (side === 'batting') {
+        innings.runs += runs;
+        innings.extras.penalties += runs;
+        return;
+    }
+
+    innings.fieldingPenalties += runs;
+
+    const fieldingInnings = [...match.innings].reverse().find(previous =>
+        sameId(previous.battingTeam, innings.bowlingTeam) && previous.superOver === innings.superOver);
+    if (fieldingInnings) {
+        fieldingInnings.runs += runs;
+        fieldingInnings.extras.penalties += runs;
+        if (innings.target) {
+            innings.target += runs;
+        }
+    }
+};
+
+// Swap the batting order of the third innings so the side that batted
+// second bats again
+const enforceFollowOn = (match) => {
+    const innings = getCurrentInnings(match);
+    [innings.battingTeam, innings.bowlingTeam] = [innings.bowlingTeam, innings.battingTeam];
+    match.followOn = true;
+    clearCrease(match);
+};
+
+// Reject deliveries the laws do not allow in the current match state
+const checkDelivery = (match, ball) => {
+    if (match.freeHit && ball.isWicket && !FREE_HIT_WICKET_TYPES.includes(ball.wicketType)) {
+        return `Only ${FREE_HIT_WICKET_TYPES.join(', ')} dismissals are allowed from a free hit`;
+    }
+    return null;
+};
+
+// Reject players who are not in their side's playing XI and batsmen already
+// dismissed in the innings. Sides that have not named a squad are not checked.
+const checkSelection = (match, { batsman, nonStriker, bowler, fielder }, dismissed = []) => {
+    const innings = getCurrentInnings(match);
+    const battingSquad = getSquad(match, innings.battingTeam);
+    const bowlingSquad = getSquad(match, innings.bowlingTeam);
+    const batsmen = [batsman, nonStriker].filter(Boolean);
+
+    if (battingSquad && batsmen.some(player => !includesPlayer(battingSquad.playingXI, player))) {
+        return 'Batsmen must be in the batting side\'s playing XI';
+    }
+    if (batsmen.some(player => includesPlayer(dismissed, player))) {
+        return 'A dismissed batsman cannot bat again in the same innings';
+    }
+    if (batsmen.some(player => includesPlayer(innings.retiredHurt || [], player))) {
+        return 'A retired batter can only resume their innings through a batter-returns event';
+    }
+    if (bowlingSquad && bowler && !includesPlayer(bowlingSquad.playingXI, bowler)) {
+        return 'Bowler must be in the bowling side\'s playing XI';
+    }
+    if (bowlingSquad && fielder &&
+        !includesPlayer([...bowlingSquad.playingXI, ...bowlingSquad.substitutes], fielder)) {
+        return 'Fielder must be in the fielding side\'s playing XI or substitutes';
+    }
+    return null;
+};
+
+// Reject a bowler who bowled any of the previous over or has used up their
+// quota. Part overs bowled for an injured bowler count towards both rules.
+const checkBowler = (match, bowler) => {
+    const innings = getCurrentInnings(match);
+    const over = currentOver(match, innings);
+    const spell = findBowler(innings, bowler);
+
+    if (!spell || spell.lastOver === over) {
+        return null;
+    }
+    if (spell.lastOver === over - 1) {
+        return 'A bowler cannot bowl consecutive overs';
+    }
+
+    const quota = bowlerQuota(match, innings);
+    if (quota !== null && spell.overs >= quota) {
+        return `Bowler has already bowled the maximum of ${pluralize(quota, 'over')}`;
+    }
+    return null;
+};
+
+const findPlayerSquad = (match, player) =>
+    (match.squads || []).find(squad => includesPlayer(squad.playingXI, player));
+
+// Reject non-delivery events the match state does not allow. Selection of
+// the players involved is checked separately with checkSelection.
+const checkEvent = (match, event) => {
+    const innings = getCurrentInnings(match);
+    const atCrease = [match.striker, match.nonStriker];
+
+    switch (event.type) {
+        case 'retired-hurt':
+        case 'retired-out':
+            return includesPlayer(atCrease, event.player) ? null : 'Only a batter at the crease can retire';
+        case 'timed-out':
+            return includesPlayer(atCrease, event.player) ? 'Only an incoming batter can be timed out' : null;
+        case 'batter-returns':
+            if (!includesPlayer(innings.retiredHurt, event.player)) {
+                return 'Only a batter who retired hurt can resume their innings';
+            }
+            if (match.striker && (match.nonStriker || isLastManStanding(match, innings))) {
+                return 'There is no vacancy at the crease';
+            }
+            return null;
+        case 'substitution':
+        case 'concussion-replacement': {
+            const squad = getSquad(match, event.team);
+            if (!squad || !includesPlayer(squad.playingXI, event.replacedPlayer)) {
+                return 'The replaced player must be in the team\'s playing XI';
+            }
+            if (includesPlayer(squad.playingXI, event.player)) {
+                return 'The replacement is already in the playing XI';
+            }
+            if (event.type === 'substitution' && !includesPlayer(squad.substitutes, event.player)) {
+                return 'Substitute fielders must be named in the squad';
+            }
+            return null;
+        }
+        case 'bowler-change':
+            if (!isOverInProgress(match, innings)) {
+                return 'No over in progress: select the bowler for the next over instead';
+            }
+            if (sameId(event.player, match.currentBowler)) {
+                return 'Replacement must be a different bowler';
+            }
+            return checkBowler(match, event.player);
+        default:
+            return null;
+    }
+};
+
+// Apply a non-delivery event to the current innings. Squad changes are only
+// made once, so replaying a concussion replacement leaves the XI as it is.
+const applyEvent = (match, event) => {
+    const innings = getCurrentInnings(match);
+
+    switch (event.type) {
+        case 'retired-hurt':
+            innings.retiredHurt.push(event.player);
+            vacateCrease(match, event.player);
+            break;
+        case 'retired-out':
+        case 'timed-out':
+            innings.wickets += 1;
+            vacateCrease(match, event.player);
+            settleLastMan(match);
+            break;
+        case 'batter-returns':
+            innings.retiredHurt = innings.retiredHurt.filter(player => !sameId(player, event.player));
+            if (match.striker) {
+                match.nonStriker = event.player;
+            } else {
+                match.striker = event.player;
+            }
+            break;
+        case 'concussion-replacement': {
+            const squad = getSquad(match, event.team);
+            const index = squad ? squad.playingXI.findIndex(player => sameId(player, event.replacedPlayer)) : -1;
+            if (index !== -1) {
+                squad.playingXI.splice(index, 1, event.player);
+            }
+            if (sameId(match.striker, event.replacedPlayer)) match.striker = event.player;
+            if (sameId(match.nonStriker, event.replacedPlayer)) match.nonStriker = event.player;
+            break;
+        }
+        case 'penalty-runs':
+            awardPenaltyRuns(match, innings, event.penaltyTeam, event.runs);
+            break;
+        case 'bowler-change':
+            match.currentBowler = event.player;
+            break;
+        default:
+            break;
+    }
+
+    if (isInningsComplete(match, innings)) {
+        closeInnings(match);
+    }
+};
+
+// Put a concussed player back in the XI when their replacement is deleted
+const revertEvent = (match, event) => {
+    if (event.type !== 'concussion-replacement') {
+        return;
+    }
+
+    const squad = getSquad(match, event.team);
+    const index = squad ? squad.playingXI.findIndex(player => sameId(player, event.player)) : -1;
+    if (index !== -1) {
+        squad.playingXI.splice(index, 1, event.replacedPlayer);
+    }
+};
+
+// Number the delivery, add it to the current innings, move the batsmen and
+// close the innings when it is over. Mutates both the match and the ball.
+const applyBall = (match, ball) => {
+    const innings = getCurrentInnings(match);
+
+    // The crease is taken from the ball itself so that replays rebuild it
+    match.striker = ball.batsman;
+    match.nonStriker = ball.nonStriker;
+    match.currentBowler = ball.bowler;
+
+    if (ball.isWicket && !ball.dismissedPlayer) {
+        ball.dismissedPlayer = ball.batsman;
+    }
+
+    ball.innings = match.currentInnings;
+    ball.isSuperOver = Boolean(innings.superOver);
+    ball.isFreeHit = Boolean(match.freeHit);
+    ball.over = Math.floor(innings.balls / ballsPerOver(match));
+    ball.ball = (innings.balls % ballsPerOver(match)) + 1;
+    recordBowler(innings, ball);
+
+    const extraRuns = ball.extraRuns || 0;
+
+    if (ball.isWide) {
+        innings.extras.wides += 1 + extraRuns;
+    }
+    if (ball.isNoBall) {
+        innings.extras.noBalls += 1;
+    }
+    if (ball.isBye) {
+        innings.extras.byes += extraRuns;
+    }
+    if (ball.isLegBye) {
+        innings.extras.legByes += extraRuns;
+    }
+
+    innings.runs += deliveryRuns(ball);
+
+    if (ball.penaltyRuns > 0) {
+        awardPenaltyRuns(match, innings, ball.penaltyTeam, ball.penaltyRuns);
+    }
+
+    if (ball.isWicket) {
+        innings.wickets += 1;
+    }
+
+    if (isLegalDelivery(ball)) {
+        innings.balls += 1;
+        innings.overs = formatOvers(innings.balls, ballsPerOver(match));
+    }
+
+    updateCrease(match, ball, isLegalDelivery(ball) && innings.balls % ballsPerOver(match) === 0);
+
+    // A no-ball earns a free hit in limited-overs matches, which carries over a wide
+    match.freeHit = !isTestMatch(match) && (ball.isNoBall || (ball.isFreeHit && ball.isWide));
+
+    updateParScore(match);
+
+    if (isInningsComplete(match, innings)) {
+        closeInnings(match);
+    }
+};
+
+// Events and stoppages are placed by the deliveries recorded before them in
+// their innings, so the ones after a deleted delivery move back by one
+const removeDelivery = (match, events, ball) => {
+    const isAfter = (entry) => entry.innings === ball.innings && entry.deliveries >= ball.sequence;
+    [...events, ...match.interruptions].filter(isAfter).forEach(entry => {
+        entry.deliveries -= 1;
+    });
+};
+
+// Reset the match to the start of play and replay every recorded ball in
+// order, renumbering overs, balls and sequences along the way. Match events
+// are replayed after the deliveries they followed. Declarations, forfeits,
+// stoppages, super overs, draws and terminated or called off play are not in
+// the ball log, so they are carried over from the match being rebuilt.
+// The players of a corrected delivery are checked against the squads and
+// dismissals as they stood when it was bowled.
+// Returns an error message instead of throwing when the ball log no longer fits.
+const replayMatch = (match, balls, events = [], corrected = null) => {
+    const firstInnings = match.innings[0];
+    const previousInnings = match.innings.map(({ declared, forfeited, superOver }) => ({ declared, forfeited, superOver }));
+    const wasDrawn = match.result?.resultType === 'draw';
+    const wasTerminated = match.playTerminated;
+    const wasCalledOff = match.result?.resultType === 'no-result' && !match.playTerminated;
+    const pendingInterruptions = match.interruptions.map(interruption => interruption.toObject?.() ?? interruption);
+    const pendingEvents = [...events];
+    const dismissed = [];
+
+    const endInnings = () => {
+        const previous = previousInnings[match.currentInnings - 1] || {};
+        if (previous.forfeited) {
+            forfeitInnings(match);
+        } else if (previous.declared) {
+            declareInnings(match);
+        } else {
+            closeInnings(match);
+        }
+    };
+
+    const resumeSuperOver = () => {
+        const next = previousInnings[match.innings.length];
+        if (match.status !== 'completed' || match.result.resultType !== 'tie' || !next?.superOver) {
+            return false;
+        }
+        startSuperOver(match);
+        return true;
+    };
+
+    // Stoppages and events are replayed at the point in the innings they were recorded
+    const applyRecordedDue = () => {
+        const deliveries = sequenceInnings === match.currentInnings ? sequence : 0;
+        const isDue = (pending) => pending[0]?.innings === match.currentInnings && pending[0].deliveries <= deliveries;
+
+        while (match.status === 'live' && (isDue(pendingInterruptions) || isDue(pendingEvents))) {
+            if (isDue(pendingInterruptions)) {
+                applyInterruption(match, pendingInterruptions.shift());
+            } else {
+                const event = pendingEvents.shift();
+                if (EVENT_WICKET_TYPES.includes(event.type)) {
+                    dismissed.push({ innings: event.innings, player: event.player });
+                }
+                applyEvent(match, event);
+            }
+        }
+    };
+
+    // Play moved on to a later innings, so the ones before it stay closed
+    const advanceTo = (inningsNumber) => {
+        applyRecordedDue();
+        while (match.currentInnings < inningsNumber) {
+            if (match.status === 'live') {
+                endInnings();
+            } else if (!resumeSuperOver()) {
+                return false;
+            }
+            applyRecordedDue();
+        }
+        return match.status === 'live';
+    };
+
+    match.status = 'live';
+    match.currentInnings = 1;
+    match.innings = [createInnings(firstInnings.battingTeam, firstInnings.bowlingTeam)];
+    reopenResult(match);
+    match.interruptions = [];
+    match.playTerminated = false;
+    clearCrease(match);
+
+    let sequence = 0;
+    let sequenceInnings = 0;
+
+    for (const ball of balls) {
+        if (ball.innings < match.currentInnings || !advanceTo(ball.innings)) {
+            return { error: `Correction ends innings ${ball.innings} before all of its deliveries` };
+        }
+
+        const error = checkDelivery(match, ball) || (ball === corrected ? checkSelection(match, ball,
+            dismissed.filter(dismissal => dismissal.innings === ball.innings).map(dismissal => dismissal.player)) : null);
+        if (error) {
+            return { error };
+        }
+        if (ball.isWicket) {
+            dismissed.push({ innings: ball.innings, player: ball.dismissedPlayer });
+        }
+
+        sequence = ball.innings === sequenceInnings ? sequence + 1 : 1;
+        sequenceInnings = ball.innings;
+        ball.sequence = sequence;
+        applyBall(match, ball);
+    }
+
+    // Innings declared or forfeited after their last recorded ball
+    applyRecordedDue();
+    while (match.status === 'live') {
+        const previous = previousInnings[match.currentInnings - 1] || {};
+        if (!previous.declared && !previous.forfeited) break;
+        endInnings();
+        applyRecordedDue();
+    }
+
+    // A super over started but not bowled yet
+    resumeSuperOver();
+
+    if (pendingInterruptions.length > 0) {
+        return { error: `Correction removes deliveries bowled before the stoppage in innings ${pendingInterruptions[0].innings}` };
+    }
+
+    if (pendingEvents.length > 0) {
+        return { error: `Correction removes deliveries bowled before the ${pendingEvents[0].type} event in innings ${pendingEvents[0].innings}` };
+    }
+
+    if (wasDrawn && match.status === 'live') {
+        concludeDraw(match);
+    }
+
+    if (wasTerminated && match.status === 'live') {
+        terminatePlay(match);
+    }
+
+    if (wasCalledOff && match.status === 'live') {
+        callOffMatch(match);
+    }
+
+    return { error: null };
+};
+
+module.exports = {
+    NON_BOWLER_WICKET_TYPES,
+    FREE_HIT_WICKET_TYPES,
+    EVENT_WICKET_TYPES,
+    isLegalDelivery,
+    isBallFaced,
+    isBowlerWicket,
+    isBoundaryHit,
+    bowlerRuns,
+    deliveryRuns,
+    moveLegacyExtras,
+    isTestMatch,
+    ballsPerOver,
+    maxWickets,
+    formatOvers,
+    createInnings,
+    getCurrentInnings,
+    inningsMaxOvers,
+    sameId,
+    getSquad,
+    findPlayerSquad,
+    isLastManStanding,
+    isPowerplayBall,
+    isOverInProgress,
+    bowlerQuotas,
+    followOnMargin,
+    checkDelivery,
+    checkSelection,
+    checkBowler,
+    checkEvent,
+    applyBall,
+    applyEvent,
+    revertEvent,
+    declareInnings,
+    forfeitInnings,
+    enforceFollowOn,
+    concludeDraw,
+    callOffMatch,
+    abandonMatch,
+    startSuperOver,
+    applyInterruption,
+    terminatePlay,
+    removeDelivery,
+    replayMatch
+};
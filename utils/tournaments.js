@@ -0,0 +1,48 @@
+// Whether a match fits its tournament: its teams take part, it is of the
+// tournament's match type and it is in one of the stages and groups.
+
+const { sameId } = require('./scoring');
+
+const includesTeam = (teams, team) => teams.some(entry => sameId(entry, team));
+
+// Check that a match can be played in the tournament at the given stage and
+// group. Returns an error message when it cannot. Knockout fixtures whose
+// teams are not decided yet are only checked for the teams they have.
+const checkTournamentMatch = (tournament, match, stageName, groupName) => {
+    const teams = [match.team1, match.team2].filter(Boolean);
+    if (match.tournament && !sameId(match.tournament, tournament._id)) {
+        return 'Match already belongs to another tournament';
+    }
+    if (tournament.matchType && match.matchType !== tournament.matchType) {
+        return `Only ${tournament.matchType} matches can be added to this tournament`;
+    }
+    if (!teams.every(team => includesTeam(tournament.teams, team))) {
+        return 'Both teams must take part in the tournament';
+    }
+
+    if (tournament.stages.length === 0) {
+        return stageName ? 'Tournament has no stages' : null;
+    }
+
+    const stage = tournament.stages.find(entry => entry.name === stageName);
+    if (!stage) {
+        return 'Stage not found in the tournament';
+    }
+    if (stage.groups.length === 0) {
+        return groupName ? `${stage.name} has no groups` : null;
+    }
+
+    const group = stage.groups.find(entry => entry.name === groupName);
+    if (!group) {
+        return `Group not found in ${stage.name}`;
+    }
+    if (!teams.every(team => includesTeam(group.teams, team))) {
+        return `Both teams must be in ${group.name}`;
+    }
+    return null;
+};
+
+module.exports = {
+    includesTeam,
+    checkTournamentMatch
+};
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Run `write` with a session in a transaction, so its writes are applied
+// together or not at all, and return its result. Operations in a transaction
+// run one at a time: await each write in turn rather than starting them
+// together with Promise.all.
+const runInTransaction = (write) => mongoose.connection.transaction(write);
+
+module.exports = {
+    runInTransaction
+};
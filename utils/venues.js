@@ -0,0 +1,81 @@
+// Venue lookup. Matches, teams and fixtures name a ground by its id, its name
+// or one of its aliases, so "Wankhede" and "Wankhede Stadium" are the same
+// venue once the alias is recorded. Names are compared ignoring case.
+
+const Venue = require('../models/Venue');
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const findVenue = (value) => {
+    const name = String(value).trim();
+    const query = OBJECT_ID.test(name) ? { _id: name } : { $or: [{ name }, { aliases: name }] };
+    return Venue.findOne(query).collation(NAME_COLLATION);
+};
+
+// The venue for an id, name or alias, creating one for a name that matches
+// none as free-text grounds are when they are linked. An id that matches no
+// venue is not found.
+const findOrCreateVenue = async (value) => {
+    const name = String(value).trim();
+    const venue = await findVenue(name);
+    if (venue || OBJECT_ID.test(name)) {
+        return venue;
+    }
+    return Venue.create({ name });
+};
+
+// Venue ids for the given ids, names or aliases. Returns the first one that
+// does not match a venue as `missing`.
+const resolveVenues = async (values) => {
+    const venues = await Promise.all(values.map(findVenue));
+    const missing = values.find((_, index) => !venues[index]);
+    return { venues: venues.map(venue => venue?._id), missing };
+};
+
+// Whether another venue already goes by one of the names
+const isVenueNameTaken = (names, venueId) => Venue.exists({
+    _id: { $ne: venueId },
+    $or: [{ name: { $in: names } }, { aliases: { $in: names } }]
+}).collation(NAME_COLLATION);
+
+// Replace the free-text venues of matches and home grounds of teams recorded
+// before venues were tracked with references, creating a venue for each name
+// that does not match one
+const linkFreeTextVenues = async () => {
+    const [matchVenues, homeGrounds] = await Promise.all([
+        Match.collection.distinct('venue', { venue: { $type: 'string' } }),
+        Team.collection.distinct('homeGround', { homeGround: { $type: 'string' } })
+    ]);
+
+    const names = [...new Set([...matchVenues, ...homeGrounds])];
+    let created = 0;
+    for (const name of names) {
+        let venue = name.trim() ? await findVenue(name) : null;
+        if (name.trim() && !venue) {
+            venue = await Venue.create({ name: name.trim() });
+            created += 1;
+        }
+
+        // Blank names are cleared
+        for (const [collection, path] of [[Match.collection, 'venue'], [Team.collection, 'homeGround']]) {
+            await collection.updateMany(
+                { [path]: name },
+                venue ? { $set: { [path]: venue._id } } : { $unset: { [path]: '' } }
+            );
+        }
+    }
+    return { names: names.length, created };
+};
+
+module.exports = {
+    NAME_COLLATION,
+    findVenue,
+    findOrCreateVenue,
+    resolveVenues,
+    isVenueNameTaken,
+    linkFreeTextVenues
+};